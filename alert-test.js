@@ -0,0 +1,38 @@
+import './dotenv.js'
+import { createNotifiers } from './lib/notifiers.js'
+import { config } from './config/config.js'
+import { config as configLocal } from './config/config.local.js'
+
+const cfg = Object.assign(config, configLocal)
+
+// send a test notice to the alert channels in cfg.alerts.channels
+// usage: node alert-test.js [channel name...]
+;(async () => {
+  const notifiers = createNotifiers(cfg.alerts?.channels)
+  const names = process.argv.length > 2 ? process.argv.slice(2) : Object.keys(notifiers)
+  if (names.length === 0) console.warn('No alert channels configured, see cfg.alerts.channels')
+  var failed = 0
+  for (const name of names) {
+    if (!notifiers[name]) {
+      console.warn(`${name}: not configured or not enabled`)
+      failed++
+      continue
+    }
+    try {
+      await notifiers[name].send({
+        kind: 'test',
+        rule: 'test',
+        memberId: 'test-member',
+        serviceId: 'test-service',
+        message: 'test notice from the IBP monitor',
+        firedAt: new Date(),
+        details: {},
+      })
+      console.log(`${name}: sent`)
+    } catch (err) {
+      console.warn(`${name}: ${err.message}`)
+      failed++
+    }
+  }
+  process.exit(failed ? 1 : 0)
+})()
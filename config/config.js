@@ -39,9 +39,151 @@ const config = {
     '/dns4/ibp-monitor.helikon.io/tcp/30000/p2p/12D3KooWFZzcMsKumdpNyTKtivcGPukPfQAtCaW5o8qinFzSzHuf',
   ],
   gossipResults: true,
+  // monitor peerIds we accept /ibp/healthCheck gossip from
+  // monitors linked to a member (via members.json `monitor_url`) are accepted too
+  knownPeers: [],
+  // gossip from other monitors: 'accept' | 'quarantine' | 'reject'
+  unknownPeerPolicy: 'quarantine',
+  // sign gossiped results with our member key (published on /ibp/signedMessage)
+  // set these in config.local.js, leave empty to publish unsigned results
+  signing: {
+    memberId: '', // our member id in members.json
+    type: 'sr25519', // 'sr25519' | 'ed25519'
+    suri: '', // mnemonic or hex seed, with optional derivation path
+    maxAge: 15 * 60, // signed results older than this are rejected as replays, as seconds
+  },
+  // combine the results of all monitors, see lib/consensus-engine.js
+  consensus: {
+    window: 15 * 60, // 15 mins, as seconds
+    quorum: 0.5, // more than this fraction of independent monitors must agree on warning/error
+    minMonitors: 2, // never mark a service down on fewer monitors than this
+    interval: 5 * 60, // 5 mins, as seconds
+    lookback: 3, // windows to recompute, gossip can arrive late
+  },
+  // block height drift, compared to the median of all members, see lib/block-reference.js
+  blockLag: {
+    warning: 10, // blocks behind
+    error: 50, // blocks behind
+    window: 15 * 60, // checks of the last 15 mins make the reference, as seconds
+    blockTime: 6, // as seconds, used until the block rate can be estimated
+    cacheTtl: 60, // a worker reloads the reference of a chain after this, as seconds
+  },
+  // check intervals as seconds, see lib/scheduler.js. default: updateInterval
+  schedule: {
+    membershipLevels: {}, // { [membershipLevelId]: seconds }
+    chains: {}, // { [chainId]: seconds }, wins over membershipLevels
+    services: {}, // { [serviceId]: seconds }, wins over chains
+    jitter: 0.5, // checks start at a random offset within the first half of the interval
+  },
+  // BullMQ workers, see workers.js
+  workers: {
+    checkService: {
+      concurrency: 10, // checks in parallel per worker process
+      limiter: { max: 20, duration: 1000 }, // start at most 20 checks per second
+      memberConcurrency: 2, // checks in flight per member, 0 for no limit
+    },
+    checkBootnode: {
+      concurrency: 2,
+      memberConcurrency: 1,
+    },
+    syncMembers: {
+      concurrency: 1,
+    },
+    pruneData: {
+      concurrency: 1,
+    },
+  },
+  // retries of checkService, see lib/retry.js
+  retry: {
+    default: {
+      retries: 3, // attempts after the first
+      interval: 5 * 1000, // wait before the first retry, as milliseconds
+      backoff: 1, // the wait is multiplied by this for each next retry
+      maxInterval: 60 * 1000, // longest wait, as milliseconds
+    },
+    chains: {}, // { [chainId]: { retries, ... } }, over the default
+    services: {}, // { [serviceId]: { retries, ... } }, wins over chains
+  },
+  // json-rpc over https, next to the wss check, see lib/http-rpc-check.js
+  httpCheck: {
+    enabled: true,
+    severity: 'warning', // status when only https fails: 'warning' | 'error'
+    timeout: 10 * 1000, // 10 seconds, as milliseconds
+  },
+  // tls certificate served at the member ip, see lib/tls-check.js
+  tlsCheck: {
+    enabled: true,
+    warningDays: 14, // expiring within 14 days gives a warning
+    timeout: 10 * 1000, // 10 seconds, as milliseconds
+  },
+  // rpc probes of checkService, see lib/rpc-probes.js
+  rpcProbes: {
+    default: [
+      { probe: 'runtimeVersion' },
+      { probe: 'metadata', maxMs: 2000 },
+      { probe: 'timestamp', maxAge: 60 }, // seconds
+      { probe: 'newHeads', within: 30 }, // seconds
+      {
+        probe: 'rpcMethods',
+        required: [
+          'chain_getBlock',
+          'chain_getBlockHash',
+          'chain_getFinalizedHead',
+          'chain_getHeader',
+          'chain_subscribeNewHeads',
+          'chain_subscribeFinalizedHeads',
+          'state_call',
+          'state_getMetadata',
+          'state_getRuntimeVersion',
+          'state_getStorage',
+          'state_subscribeStorage',
+          'system_health',
+          'author_submitExtrinsic',
+          'author_submitAndWatchExtrinsic',
+        ],
+      },
+    ],
+    chains: {}, // chainId => suite, replaces the default
+    services: {}, // serviceId => suite, replaces the chain or default suite
+  },
+  // members.json of the IBP config repo, see lib/member-registry.js
+  members: {
+    url: 'https://raw.githubusercontent.com/ibp-network/config/main/members.json',
+    interval: 60 * 60, // 1 hour, as seconds
+  },
   relay: null,
+  // monthly availability and latency targets, see lib/sla-engine.js
+  sla: {
+    availability: 99, // % of consensus windows not in error
+    latencyMs: 500, // hourly p90 response time, as milliseconds
+    latencyCompliance: 95, // % of hours with a p90 under latencyMs
+    membershipLevels: {}, // membershipLevelId => { availability, latencyMs, latencyCompliance }
+  },
+  // alert rules and channels, see lib/alert-engine.js and lib/notifiers.js
+  alerts: {
+    enabled: false,
+    rules: [
+      { name: 'down', type: 'consensus', status: ['error'], windows: 3 }, // 3 windows in error
+      { name: 'slow', type: 'latency', minutes: 15 }, // a quorum over the SLA latencyMs, 15 minutes
+    ],
+    silences: [], // { rule, memberId, serviceId, startsAt, endsAt, reason }, all optional
+    channels: {}, // name => { type: 'webhook' | 'matrix' | 'telegram' | 'smtp', ...options }
+  },
+  // maintenance windows of members, see lib/maintenance.js
+  maintenance: {
+    operatorToken: '', // bearer token to create windows on POST /api/maintenance, empty: disabled
+    maxDuration: 24 * 60 * 60, // 1 day as seconds, the longest window
+    minNotice: 60 * 60, // 1 hour as seconds, a member announces a window this far ahead
+    budget: 48 * 60 * 60, // 2 days as seconds, of member windows within budgetPeriod
+    budgetPeriod: 30 * 24 * 60 * 60, // 30 days as seconds, before or after a new window
+    relayInterval: 15 * 60, // 15 mins as seconds, publish the windows of our member again
+  },
+  // rollups and pruning, see lib/rollup.js and workers/f-prune-data.js
   pruning: {
-    age: 90 * 24 * 60 * 60, // 90 days as seconds
+    age: 90 * 24 * 60 * 60, // 90 days as seconds: hourly data, gossip, consensus, maintenance
+    raw: 7 * 24 * 60 * 60, // 7 days as seconds: raw health checks
+    daily: 2 * 365 * 24 * 60 * 60, // 2 years as seconds: daily rollups, closed incidents
+    lookback: 3, // hours to roll up again, gossip can arrive late
     interval: 1 * 60 * 60, // 1 hour as seconds
   },
 }
@@ -1,15 +1,28 @@
 import moment from 'moment'
 import { DataTypes, Op, Sequelize, Model } from 'sequelize'
 
+import { alertModel } from '../data/models/alert.js'
 import { chainModel } from '../data/models/chain.js'
 import { memberModel } from '../data/models/member.js'
 import { membershipLevelModel } from '../data/models/membership-level.js'
 import { serviceModel } from '../data/models/service.js'
 import { memberServiceModel } from '../data/models/member-service.js'
 import { memberServiceNodeModel } from '../data/models/member-service-node.js'
+import { memberServiceBootnodeModel } from '../data/models/member-service-bootnode.js'
 import { monitorModel } from '../data/models/monitor.js'
 import { healthCheckModel } from '../data/models/health-check.js'
+import {
+  healthCheckHourlyModel,
+  healthCheckDailyModel,
+} from '../data/models/health-check-rollup.js'
 import { geoDnsPoolModel } from '../data/models/geo-dns-pool.js'
+import { gossipDecisionModel } from '../data/models/gossip-decision.js'
+import { consensusModel } from '../data/models/consensus.js'
+import { incidentModel } from '../data/models/incident.js'
+import { maintenanceWindowModel } from '../data/models/maintenance-window.js'
+import { statusHourlyModel } from '../data/models/status-hourly.js'
+import { memberChangeLogModel } from '../data/models/member-change-log.js'
+import { MemberRegistry, fetchMembers } from '../lib/member-registry.js'
 
 import { config } from '../config/config.js'
 import { config as configLocal } from '../config/config.local.js'
@@ -23,18 +36,30 @@ const sequelize = new Sequelize(
 )
 
 class DataStore {
+  Alert = undefined
   Chain = undefined
+  Consensus = undefined
   GeoDnsPool = undefined
+  GossipDecision = undefined
   HealthCheck = undefined
+  HealthCheckDaily = undefined
+  HealthCheckHourly = undefined
+  Incident = undefined
+  MaintenanceWindow = undefined
   Member = undefined
   MembershipLevel = undefined
+  MemberChangeLog = undefined
   MemberService = undefined
   MemberServiceNode = undefined
+  MemberServiceBootnode = undefined
   Service = undefined
+  StatusHourly = undefined
   Monitor = undefined
 
   pruning = {
     age: 90 * (24 * 60 * 60), // days as seconds
+    raw: 7 * (24 * 60 * 60), // days as seconds
+    daily: 2 * 365 * (24 * 60 * 60), // days as seconds
     interval: 1 * (24 * 60 * 60), // 1 day as seconds
   }
 
@@ -171,11 +196,51 @@ class DataStore {
     //   foreignKey: 'memberServiceId',
     // })
 
+    // bootnode multiaddrs of a member service, see members.json `bootnodes`
+    const MemberServiceBootnode = sequelize.define(
+      'member_service_bootnode',
+      memberServiceBootnodeModel.definition,
+      {
+        ...memberServiceBootnodeModel.options,
+        sequelize,
+      }
+    )
+    Member.hasMany(MemberServiceBootnode, {
+      as: 'bootnodes',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    MemberServiceBootnode.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+    Service.hasMany(MemberServiceBootnode, {
+      as: 'bootnodes',
+      foreignKey: 'serviceId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    MemberServiceBootnode.belongsTo(Service, {
+      as: 'service',
+      foreignKey: 'serviceId',
+    })
+
     // define monitor
     const Monitor = sequelize.define('member_service_node', monitorModel.definition, {
       ...monitorModel.options,
       sequelize,
     })
+    Member.hasMany(Monitor, {
+      as: 'monitors',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Monitor.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
 
     // define health check
     const HealthCheck = sequelize.define('health_check', healthCheckModel.definition, {
@@ -228,15 +293,201 @@ class DataStore {
       sequelize,
     })
 
+    // verdict of all monitors per member/service/window, see lib/consensus-engine.js
+    const Consensus = sequelize.define('consensus', consensusModel.definition, {
+      ...consensusModel.options,
+      sequelize,
+    })
+    Member.hasMany(Consensus, {
+      as: 'consensus',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Consensus.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+    Service.hasMany(Consensus, {
+      as: 'consensus',
+      foreignKey: 'serviceId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Consensus.belongsTo(Service, {
+      as: 'service',
+      foreignKey: 'serviceId',
+    })
+
+    // consensus per hour, for /api/status
+    const StatusHourly = sequelize.define('status_hourly', statusHourlyModel.definition, {
+      ...statusHourlyModel.options,
+      sequelize,
+    })
+    Member.hasMany(StatusHourly, {
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    StatusHourly.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+    Service.hasMany(StatusHourly, {
+      foreignKey: 'serviceId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    StatusHourly.belongsTo(Service, {
+      as: 'service',
+      foreignKey: 'serviceId',
+    })
+
+    // health checks per hour and per day, see lib/rollup.js
+    const HealthCheckHourly = sequelize.define(
+      healthCheckHourlyModel.options.tableName,
+      healthCheckHourlyModel.definition,
+      { ...healthCheckHourlyModel.options, sequelize }
+    )
+    const HealthCheckDaily = sequelize.define(
+      healthCheckDailyModel.options.tableName,
+      healthCheckDailyModel.definition,
+      { ...healthCheckDailyModel.options, sequelize }
+    )
+    for (const Rollup of [HealthCheckHourly, HealthCheckDaily]) {
+      Member.hasMany(Rollup, {
+        foreignKey: 'memberId',
+        onDelete: 'RESTRICT',
+        onUpdate: 'RESTRICT',
+      })
+      Rollup.belongsTo(Member, {
+        as: 'member',
+        foreignKey: 'memberId',
+      })
+      Service.hasMany(Rollup, {
+        foreignKey: 'serviceId',
+        onDelete: 'RESTRICT',
+        onUpdate: 'RESTRICT',
+      })
+      Rollup.belongsTo(Service, {
+        as: 'service',
+        foreignKey: 'serviceId',
+      })
+    }
+
+    // outages by consensus, see lib/incident-tracker.js
+    const Incident = sequelize.define('incident', incidentModel.definition, {
+      ...incidentModel.options,
+      sequelize,
+    })
+    Member.hasMany(Incident, {
+      as: 'incidents',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Incident.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+    Service.hasMany(Incident, {
+      as: 'incidents',
+      foreignKey: 'serviceId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Incident.belongsTo(Service, {
+      as: 'service',
+      foreignKey: 'serviceId',
+    })
+
+    // planned maintenance of a member, see lib/maintenance.js
+    const MaintenanceWindow = sequelize.define(
+      'maintenance_window',
+      maintenanceWindowModel.definition,
+      {
+        ...maintenanceWindowModel.options,
+        sequelize,
+      }
+    )
+    Member.hasMany(MaintenanceWindow, {
+      as: 'maintenanceWindows',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    MaintenanceWindow.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+
+    // alerts per rule/member/service, see lib/alert-engine.js
+    const Alert = sequelize.define('alert', alertModel.definition, {
+      ...alertModel.options,
+      sequelize,
+    })
+    Member.hasMany(Alert, {
+      as: 'alerts',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Alert.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+    Service.hasMany(Alert, {
+      as: 'alerts',
+      foreignKey: 'serviceId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    Alert.belongsTo(Service, {
+      as: 'service',
+      foreignKey: 'serviceId',
+    })
+
+    // changes to members.json, see lib/member-registry.js
+    const MemberChangeLog = sequelize.define('member_change_log', memberChangeLogModel.definition, {
+      ...memberChangeLogModel.options,
+      sequelize,
+    })
+    Member.hasMany(MemberChangeLog, {
+      as: 'changes',
+      foreignKey: 'memberId',
+      onDelete: 'RESTRICT',
+      onUpdate: 'RESTRICT',
+    })
+    MemberChangeLog.belongsTo(Member, {
+      as: 'member',
+      foreignKey: 'memberId',
+    })
+
+    // gossip we did not accept, see lib/message-handler.js
+    const GossipDecision = sequelize.define('gossip_decision', gossipDecisionModel.definition, {
+      ...gossipDecisionModel.options,
+      sequelize,
+    })
+
+    this.Alert = Alert
     this.Chain = Chain
+    this.Consensus = Consensus
     this.GeoDnsPool = GeoDnsPool
+    this.GossipDecision = GossipDecision
     this.HealthCheck = HealthCheck
+    this.HealthCheckDaily = HealthCheckDaily
+    this.HealthCheckHourly = HealthCheckHourly
+    this.Incident = Incident
+    this.MaintenanceWindow = MaintenanceWindow
     this.Member = Member
+    this.MemberChangeLog = MemberChangeLog
     this.MembershipLevel = MembershipLevel
     this.MemberService = MemberService
     this.MemberServiceNode = MemberServiceNode
+    this.MemberServiceBootnode = MemberServiceBootnode
     this.Monitor = Monitor
     this.Service = Service
+    this.StatusHourly = StatusHourly
   }
 
   /*
@@ -257,67 +508,50 @@ class DataStore {
     return await sequelize.close()
   }
 
-  async readMemberJson() {
-    // get updated members.json
-    const membersResponse = await axios.get(
-      'https://raw.githubusercontent.com/ibp-network/config/main/members.json'
-    )
-    if (membersResponse.data) {
-      for (const [memberId, data] of Object.entries(membersResponse.data.members)) {
-        console.log('Upserting member: ', memberId)
-        // member
-        const {
-          name,
-          website,
-          logo,
-          membership,
-          current_level,
-          active,
-          level_timestamp,
-          services_address,
-          endpoints,
-          monitor_url,
-          region,
-          latitude,
-          longitude,
-          payments,
-        } = data
-        if (current_level == 0) {
-          continue
-        }
-        const record = {
-          id: memberId,
-          name,
-          websiteUrl: website,
-          logoUrl: logo,
-          membershipType: membership,
-          membershipLevelId: Number(current_level),
-          membershipLevelTimestamp: Number(level_timestamp[current_level]),
-          status: Number(active) == 1 ? 'active' : 'pending',
-          serviceIpAddress: services_address,
-          monitorUrl: monitor_url,
-          region,
-          latitude: Number(latitude),
-          longitude: Number(longitude),
-        }
-        await ds.Member.upsert(record)
-        // member endpoints
-        if (data.endpoints) {
-          for (const [chainId, serviceUrl] of Object.entries(data.endpoints)) {
-            const service = await ds.Service.findOne({ where: { chainId, type: 'rpc' } })
-            const memberService = {
-              memberId,
-              serviceId: service.id,
-              serviceUrl,
-              status: 'active',
-            }
-            await ds.MemberService.upsert(memberService)
-          }
-        }
+  /**
+   * Store the bootnode multiaddrs of a member, addresses no longer listed are removed
+   * @param {string} memberId
+   * @param {*} bootnodes - members.json `bootnodes`: { [chainId]: multiaddr | [multiaddr, ...] }
+   */
+  async updateMemberBootnodes(memberId, bootnodes = {}) {
+    for (const [chainId, value] of Object.entries(bootnodes)) {
+      const addresses = [].concat(value).filter((a) => a)
+      const service = await this.Service.findOne({ where: { chainId, type: 'bootnode' } })
+      if (!service) {
+        console.warn('No bootnode service for chain', chainId)
+        continue
+      }
+      const serviceId = service.id
+      // the member service is the parent of the bootnodes
+      await this.MemberService.upsert({
+        memberId,
+        serviceId,
+        serviceUrl: addresses[0] || '',
+        status: addresses.length ? 'active' : 'inactive',
+      })
+      for (const multiaddress of addresses) {
+        const peerId = multiaddress.match(/\/p2p\/([^/]+)/)?.[1] || null
+        await this.MemberServiceBootnode.findOrCreate({
+          where: { memberId, serviceId, multiaddress },
+          defaults: { peerId },
+        })
       }
+      const where = { memberId, serviceId }
+      if (addresses.length) where.multiaddress = { [Op.notIn]: addresses }
+      await this.MemberServiceBootnode.destroy({ where })
     }
   }
 
+  /**
+   * Sync the members with members.json
+   * @param {string} url - defaults to cfg.members.url, file:// is supported
+   * @returns the changes, see lib/member-registry.js
+   */
+  async readMemberJson(url = cfg.members.url) {
+    const registry = new MemberRegistry({ datastore: this })
+    return registry.sync(await fetchMembers(url))
+  }
+
   // async log(level = 'info', data) {
   //   const model = {
   //     level,
@@ -326,15 +560,52 @@ class DataStore {
   //   return this.Log.create(model)
   // }
 
+  /**
+   * Delete old data. Raw health checks go after pruning.raw, they should be rolled up by then,
+   * see lib/rollup.js. Hourly rollups and statuses, gossip decisions, consensus, resolved alerts and
+   * past maintenance windows go after pruning.age, daily rollups and closed incidents after
+   * pruning.daily
+   */
   async prune() {
     console.debug('DataStore.prune()', this.pruning)
-    const marker = moment.utc().add(-this.pruning.age, 'seconds')
-    console.debug('marker', marker)
+    const marker = (seconds) => moment.utc().add(-seconds, 'seconds').format('YYYY-MM-DD HH:mm:ss')
     var result
     result = await this.HealthCheck.destroy({
-      where: { createdAt: { [Op.lt]: marker.format('YYYY-MM-DD HH:mm:ss') } },
+      where: { createdAt: { [Op.lt]: marker(this.pruning.raw) } },
     })
     console.debug('HealthCheck.prune: delete', result)
+    result = await this.HealthCheckHourly.destroy({
+      where: { periodStart: { [Op.lt]: marker(this.pruning.age) } },
+    })
+    console.debug('HealthCheckHourly.prune: delete', result)
+    result = await this.HealthCheckDaily.destroy({
+      where: { periodStart: { [Op.lt]: marker(this.pruning.daily) } },
+    })
+    console.debug('HealthCheckDaily.prune: delete', result)
+    result = await this.Incident.destroy({
+      where: { status: 'closed', endedAt: { [Op.lt]: marker(this.pruning.daily) } },
+    })
+    console.debug('Incident.prune: delete', result)
+    result = await this.GossipDecision.destroy({
+      where: { createdAt: { [Op.lt]: marker(this.pruning.age) } },
+    })
+    console.debug('GossipDecision.prune: delete', result)
+    result = await this.Consensus.destroy({
+      where: { windowStart: { [Op.lt]: marker(this.pruning.age) } },
+    })
+    console.debug('Consensus.prune: delete', result)
+    result = await this.StatusHourly.destroy({
+      where: { hour: { [Op.lt]: marker(this.pruning.age) } },
+    })
+    console.debug('StatusHourly.prune: delete', result)
+    result = await this.Alert.destroy({
+      where: { status: 'resolved', resolvedAt: { [Op.lt]: marker(this.pruning.age) } },
+    })
+    console.debug('Alert.prune: delete', result)
+    result = await this.MaintenanceWindow.destroy({
+      where: { endsAt: { [Op.lt]: marker(this.pruning.age) } },
+    })
+    console.debug('MaintenanceWindow.prune: delete', result)
     // result = await this.Service.update({ status: 'stale' }, { where: { status: {[Op.ne]: 'stale' }, errorCount: { [Op.gt]: 10 } } })
     // console.debug('Service.stale: error', result)
     // result = await this.Service.update({ status: 'stale' }, { where: { status: {[Op.ne]: 'stale' }, updatedAt: { [Op.lt]: marker } } })
@@ -3,7 +3,7 @@ import { Umzug, SequelizeStorage } from 'umzug'
 import { config } from '../config/config.js'
 import { config as configLocal } from '../config/config.local.js'
 import { DataStore } from '../data/data-store.js'
-import axios from 'axios'
+import { MemberRegistry } from '../lib/member-registry.js'
 
 const cfg = Object.assign(config, configLocal)
 const ds = new DataStore({ pruning: cfg.pruning })
@@ -15,62 +15,16 @@ const sequelize = new Sequelize(
 )
 
 async function updateMembers() {
-  // get updated members.json
-  const membersResponse = await axios.get(
-    'https://raw.githubusercontent.com/ibp-network/config/main/members.json'
-  )
-  if (membersResponse.data) {
-    for (const [memberId, data] of Object.entries(membersResponse.data.members)) {
-      console.log('Upserting member: ', memberId)
-      // member
-      const {
-        name,
-        website,
-        logo,
-        membership,
-        current_level,
-        active,
-        level_timestamp,
-        services_address,
-        endpoints,
-        monitor_url,
-        region,
-        latitude,
-        longitude,
-        payments,
-      } = data
-      if (current_level == 0) {
-        continue
-      }
-      const record = {
-        id: memberId,
-        name,
-        websiteUrl: website,
-        logoUrl: logo,
-        membershipType: membership,
-        membershipLevelId: Number(current_level),
-        membershipLevelTimestamp: Number(level_timestamp[current_level]),
-        status: Number(active) == 1 ? 'active' : 'pending',
-        serviceIpAddress: services_address,
-        monitorUrl: monitor_url,
-        region,
-        latitude: Number(latitude),
-        longitude: Number(longitude),
-      }
-      await ds.Member.upsert(record)
-      // member endpoints
-      if (data.endpoints) {
-        for (const [chainId, serviceUrl] of Object.entries(data.endpoints)) {
-          const service = await ds.Service.findOne({ where: { chainId, type: 'rpc' } })
-          const memberService = {
-            memberId,
-            serviceId: service.id,
-            serviceUrl,
-            status: 'active',
-          }
-          await ds.MemberService.upsert(memberService)
-        }
-      }
+  // get updated members.json, changes are logged in member_change_log
+  const changes = await ds.readMemberJson(cfg.members.url)
+  console.log('Member changes:', changes.length)
+  // gossip from the member's monitor is trusted, see lib/message-handler.js
+  // the sync links new members and changed monitor_urls, a monitor may have come up since
+  const registry = new MemberRegistry({ datastore: ds })
+  const members = await ds.Member.findAll({ where: { status: 'active' } })
+  for (const member of members) {
+    if (member.monitorUrl) {
+      await registry.linkMonitor(member.id, member.monitorUrl)
     }
   }
 }
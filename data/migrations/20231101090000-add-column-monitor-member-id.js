@@ -0,0 +1,29 @@
+import { DataTypes } from 'sequelize'
+
+async function up({ context: queryInterface }) {
+  await queryInterface
+    .addColumn('monitor', 'memberId', {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    })
+    .then(() =>
+      queryInterface.addConstraint('monitor', {
+        type: 'FOREIGN KEY',
+        name: 'fk_monitor_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeConstraint('monitor', 'fk_monitor_member')
+  await queryInterface.removeColumn('monitor', 'memberId')
+}
+
+export { up, down }
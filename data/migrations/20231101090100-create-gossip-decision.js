@@ -0,0 +1,23 @@
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize.query(
+    "CREATE TABLE `gossip_decision` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `monitorId` varchar(64) NOT NULL, \
+        `memberId` varchar(128) DEFAULT NULL, \
+        `serviceId` varchar(128) DEFAULT NULL, \
+        `decision` enum('quarantine','reject') NOT NULL, \
+        `reason` varchar(64) NOT NULL, \
+        `record` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`record`)), \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        KEY `gossip_decision_monitor_id` (`monitorId`), \
+        KEY `gossip_decision_created_at` (`createdAt`) \
+      )"
+  )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('gossip_decision')
+}
+
+export { up, down }
@@ -0,0 +1,29 @@
+import { DataTypes } from 'sequelize'
+
+async function up({ context: queryInterface }) {
+  await queryInterface
+    .addColumn('member', 'publicKey', {
+      type: DataTypes.STRING(66),
+      allowNull: true,
+    })
+    .then(() =>
+      queryInterface.addColumn('health_check', 'signerId', {
+        type: DataTypes.STRING(128),
+        allowNull: true,
+      })
+    )
+    .then(() =>
+      queryInterface.addColumn('health_check', 'signatureStatus', {
+        type: DataTypes.ENUM('valid', 'invalid', 'unknown_key'),
+        allowNull: true,
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeColumn('health_check', 'signatureStatus')
+  await queryInterface.removeColumn('health_check', 'signerId')
+  await queryInterface.removeColumn('member', 'publicKey')
+}
+
+export { up, down }
@@ -0,0 +1,54 @@
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize
+    .query(
+      "CREATE TABLE `consensus` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `memberId` varchar(128) NOT NULL, \
+        `serviceId` varchar(128) NOT NULL, \
+        `windowStart` datetime NOT NULL, \
+        `windowEnd` datetime NOT NULL, \
+        `status` enum('error','warning','success') NOT NULL, \
+        `monitorCount` int(11) NOT NULL, \
+        `successCount` int(11) NOT NULL, \
+        `warningCount` int(11) NOT NULL, \
+        `errorCount` int(11) NOT NULL, \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        `updatedAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        UNIQUE KEY `u_consensus_member_service_window` (`memberId`, `serviceId`, `windowStart`), \
+        KEY `consensus_window_start` (`windowStart`) \
+      )"
+    )
+    .then(() =>
+      queryInterface.addConstraint('consensus', {
+        type: 'FOREIGN KEY',
+        name: 'fk_consensus_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    .then(() =>
+      queryInterface.addConstraint('consensus', {
+        type: 'FOREIGN KEY',
+        name: 'fk_consensus_service',
+        fields: ['serviceId'],
+        references: {
+          table: 'service',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('consensus')
+}
+
+export { up, down }
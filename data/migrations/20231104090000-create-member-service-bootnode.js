@@ -0,0 +1,24 @@
+async function up({ context: queryInterface }) {
+  // a member service can have many bootnode multiaddrs (tcp, ws, wss)
+  await queryInterface.sequelize.query(
+    'CREATE TABLE `member_service_bootnode` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `memberId` varchar(128) NOT NULL, \
+        `serviceId` varchar(128) NOT NULL, \
+        `multiaddress` varchar(256) NOT NULL, \
+        `peerId` varchar(64) DEFAULT NULL, \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        `updatedAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        UNIQUE KEY `u_member_service_bootnode_multiaddress` (`memberId`, `serviceId`, `multiaddress`), \
+        CONSTRAINT `fk_member_service_bootnode_member_service` FOREIGN KEY (`memberId`, `serviceId`) \
+          REFERENCES `member_service` (`memberId`, `serviceId`) ON UPDATE RESTRICT ON DELETE RESTRICT \
+      )'
+  )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('member_service_bootnode')
+}
+
+export { up, down }
@@ -0,0 +1,36 @@
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize
+    .query(
+      "CREATE TABLE `member_change_log` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `memberId` varchar(128) NOT NULL, \
+        `serviceId` varchar(128) DEFAULT NULL, \
+        `changeType` enum('member_added','member_removed','level','status','ip_address','profile','endpoint_added','endpoint_changed','endpoint_removed','bootnode_added','bootnode_removed') NOT NULL, \
+        `field` varchar(64) DEFAULT NULL, \
+        `oldValue` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`oldValue`)), \
+        `newValue` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`newValue`)), \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        KEY `member_change_log_member_created_at` (`memberId`, `createdAt`) \
+      )"
+    )
+    .then(() =>
+      queryInterface.addConstraint('member_change_log', {
+        type: 'FOREIGN KEY',
+        name: 'fk_member_change_log_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('member_change_log')
+}
+
+export { up, down }
@@ -0,0 +1,22 @@
+import { DataTypes } from 'sequelize'
+
+async function up({ context: queryInterface }) {
+  await queryInterface
+    .addColumn('health_check', 'blockLag', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    })
+    .then(() =>
+      queryInterface.addColumn('health_check', 'finalizedLag', {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeColumn('health_check', 'finalizedLag')
+  await queryInterface.removeColumn('health_check', 'blockLag')
+}
+
+export { up, down }
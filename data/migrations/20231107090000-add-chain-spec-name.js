@@ -0,0 +1,33 @@
+import { DataTypes } from 'sequelize'
+
+// runtime specName, checkService compares it with the endpoint, see workers/f-check-service.js
+const specNames = {
+  polkadot: 'polkadot',
+  kusama: 'kusama',
+  westend: 'westend',
+  statemint: 'statemint',
+  statemine: 'statemine',
+  westmint: 'westmint',
+  'collectives-polkadot': 'collectives',
+  'collectives-westend': 'collectives-westend',
+  'bridgehub-polkadot': 'bridge-hub-polkadot',
+  'bridgehub-kusama': 'bridge-hub-kusama',
+  'bridgehub-westend': 'bridge-hub-westend',
+  'encointer-kusama': 'encointer-parachain',
+}
+
+async function up({ context: queryInterface }) {
+  await queryInterface.addColumn('chain', 'specName', {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  })
+  for (const [id, specName] of Object.entries(specNames)) {
+    await queryInterface.bulkUpdate('chain', { specName }, { id })
+  }
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeColumn('chain', 'specName')
+}
+
+export { up, down }
@@ -0,0 +1,14 @@
+import { DataTypes } from 'sequelize'
+
+async function up({ context: queryInterface }) {
+  await queryInterface.addColumn('health_check', 'certDaysToExpiry', {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  })
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeColumn('health_check', 'certDaysToExpiry')
+}
+
+export { up, down }
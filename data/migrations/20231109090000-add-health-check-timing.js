@@ -0,0 +1,21 @@
+import { DataTypes } from 'sequelize'
+
+// phases of a check, see lib/ws-timing.js
+const columns = ['dnsMs', 'tcpMs', 'tlsMs', 'wsUpgradeMs', 'metadataMs', 'rpcMs']
+
+async function up({ context: queryInterface }) {
+  for (const column of columns) {
+    await queryInterface.addColumn('health_check', column, {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    })
+  }
+}
+
+async function down({ context: queryInterface }) {
+  for (const column of [...columns].reverse()) {
+    await queryInterface.removeColumn('health_check', column)
+  }
+}
+
+export { up, down }
@@ -0,0 +1,69 @@
+const tables = ['health_check_hourly', 'health_check_daily']
+
+async function createTable(queryInterface, table) {
+  await queryInterface.sequelize
+    .query(
+      `CREATE TABLE \`${table}\` ( \
+        \`id\` int(11) NOT NULL AUTO_INCREMENT, \
+        \`periodStart\` datetime NOT NULL, \
+        \`serviceId\` varchar(128) NOT NULL, \
+        \`memberId\` varchar(128) NOT NULL, \
+        \`type\` enum('service_check','system_health','best_block','bootnode_check') NOT NULL, \
+        \`checkCount\` int(11) NOT NULL, \
+        \`successCount\` int(11) NOT NULL, \
+        \`warningCount\` int(11) NOT NULL, \
+        \`errorCount\` int(11) NOT NULL, \
+        \`responseTimeAvg\` float DEFAULT NULL, \
+        \`responseTimeP50\` float DEFAULT NULL, \
+        \`responseTimeP90\` float DEFAULT NULL, \
+        \`responseTimeP99\` float DEFAULT NULL, \
+        \`blockLagAvg\` float DEFAULT NULL, \
+        \`blockLagMax\` int(11) DEFAULT NULL, \
+        \`createdAt\` datetime NOT NULL DEFAULT current_timestamp(), \
+        \`updatedAt\` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (\`id\`), \
+        UNIQUE KEY \`u_${table}_member_service_type_period\` (\`memberId\`, \`serviceId\`, \`type\`, \`periodStart\`), \
+        KEY \`${table}_period_start\` (\`periodStart\`) \
+      )`
+    )
+    .then(() =>
+      queryInterface.addConstraint(table, {
+        type: 'FOREIGN KEY',
+        name: `fk_${table}_member`,
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    .then(() =>
+      queryInterface.addConstraint(table, {
+        type: 'FOREIGN KEY',
+        name: `fk_${table}_service`,
+        fields: ['serviceId'],
+        references: {
+          table: 'service',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+}
+
+async function up({ context: queryInterface }) {
+  for (const table of tables) {
+    await createTable(queryInterface, table)
+  }
+}
+
+async function down({ context: queryInterface }) {
+  for (const table of tables) {
+    await queryInterface.dropTable(table)
+  }
+}
+
+export { up, down }
@@ -0,0 +1,64 @@
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize
+    .query(
+      'CREATE TABLE `status_hourly` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `serviceId` varchar(128) NOT NULL, \
+        `memberId` varchar(128) NOT NULL, \
+        `hour` datetime NOT NULL, \
+        `successCount` int(11) NOT NULL, \
+        `warningCount` int(11) NOT NULL, \
+        `errorCount` int(11) NOT NULL, \
+        `monitorCount` int(11) NOT NULL, \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        `updatedAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        UNIQUE KEY `u_status_hourly_service_hour_member` (`serviceId`, `hour`, `memberId`), \
+        KEY `status_hourly_hour` (`hour`) \
+      )'
+    )
+    .then(() =>
+      queryInterface.addConstraint('status_hourly', {
+        type: 'FOREIGN KEY',
+        name: 'fk_status_hourly_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    .then(() =>
+      queryInterface.addConstraint('status_hourly', {
+        type: 'FOREIGN KEY',
+        name: 'fk_status_hourly_service',
+        fields: ['serviceId'],
+        references: {
+          table: 'service',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    // existing verdicts, the consensus engine keeps it up to date from here
+    .then(() =>
+      queryInterface.sequelize.query(
+        "INSERT INTO `status_hourly` \
+          (`serviceId`, `memberId`, `hour`, `successCount`, `warningCount`, `errorCount`, `monitorCount`) \
+        SELECT `serviceId`, `memberId`, DATE_FORMAT(`windowStart`, '%Y-%m-%d %H:00:00'), \
+          SUM(`status` = 'success'), SUM(`status` = 'warning'), SUM(`status` = 'error'), \
+          MAX(`monitorCount`) \
+        FROM `consensus` \
+        GROUP BY `serviceId`, `memberId`, DATE_FORMAT(`windowStart`, '%Y-%m-%d %H:00:00')"
+      )
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('status_hourly')
+}
+
+export { up, down }
@@ -0,0 +1,55 @@
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize
+    .query(
+      "CREATE TABLE `alert` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `rule` varchar(64) NOT NULL, \
+        `memberId` varchar(128) NOT NULL, \
+        `serviceId` varchar(128) NOT NULL, \
+        `status` enum('firing','resolved') NOT NULL, \
+        `silenced` tinyint(1) NOT NULL DEFAULT 0, \
+        `message` varchar(255) NOT NULL, \
+        `firedAt` datetime NOT NULL, \
+        `resolvedAt` datetime DEFAULT NULL, \
+        `notifiedAt` datetime DEFAULT NULL, \
+        `details` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`details`)), \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        `updatedAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        KEY `alert_rule_member_service_status` (`rule`, `memberId`, `serviceId`, `status`), \
+        KEY `alert_fired_at` (`firedAt`) \
+      )"
+    )
+    .then(() =>
+      queryInterface.addConstraint('alert', {
+        type: 'FOREIGN KEY',
+        name: 'fk_alert_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    .then(() =>
+      queryInterface.addConstraint('alert', {
+        type: 'FOREIGN KEY',
+        name: 'fk_alert_service',
+        fields: ['serviceId'],
+        references: {
+          table: 'service',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('alert')
+}
+
+export { up, down }
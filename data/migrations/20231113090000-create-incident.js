@@ -0,0 +1,55 @@
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize
+    .query(
+      "CREATE TABLE `incident` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `memberId` varchar(128) NOT NULL, \
+        `serviceId` varchar(128) NOT NULL, \
+        `status` enum('open','closed') NOT NULL, \
+        `startedAt` datetime NOT NULL, \
+        `endedAt` datetime DEFAULT NULL, \
+        `durationSeconds` int(11) DEFAULT NULL, \
+        `lastWindowStart` datetime NOT NULL, \
+        `monitorIds` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`monitorIds`)), \
+        `errorMessage` varchar(255) DEFAULT NULL, \
+        `healthCheckIds` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`healthCheckIds`)), \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        `updatedAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        KEY `incident_member_service_status` (`memberId`, `serviceId`, `status`), \
+        KEY `incident_started_at` (`startedAt`) \
+      )"
+    )
+    .then(() =>
+      queryInterface.addConstraint('incident', {
+        type: 'FOREIGN KEY',
+        name: 'fk_incident_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    .then(() =>
+      queryInterface.addConstraint('incident', {
+        type: 'FOREIGN KEY',
+        name: 'fk_incident_service',
+        fields: ['serviceId'],
+        references: {
+          table: 'service',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.dropTable('incident')
+}
+
+export { up, down }
@@ -0,0 +1,71 @@
+import { DataTypes } from 'sequelize'
+
+async function up({ context: queryInterface }) {
+  await queryInterface.sequelize
+    .query(
+      "CREATE TABLE `maintenance_window` ( \
+        `id` int(11) NOT NULL AUTO_INCREMENT, \
+        `memberId` varchar(128) NOT NULL, \
+        `serviceIds` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`serviceIds`)), \
+        `startsAt` datetime NOT NULL, \
+        `endsAt` datetime NOT NULL, \
+        `reason` varchar(255) DEFAULT NULL, \
+        `source` enum('member','operator') NOT NULL, \
+        `signature` varchar(256) DEFAULT NULL, \
+        `envelope` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`envelope`)), \
+        `createdAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        `updatedAt` datetime NOT NULL DEFAULT current_timestamp(), \
+        PRIMARY KEY (`id`), \
+        KEY `maintenance_window_member_ends_at` (`memberId`, `endsAt`), \
+        KEY `maintenance_window_ends_at` (`endsAt`), \
+        UNIQUE KEY `maintenance_window_signature` (`signature`) \
+      )"
+    )
+    .then(() =>
+      queryInterface.addConstraint('maintenance_window', {
+        type: 'FOREIGN KEY',
+        name: 'fk_maintenance_window_member',
+        fields: ['memberId'],
+        references: {
+          table: 'member',
+          field: 'id',
+        },
+        onUpdate: 'RESTRICT',
+        onDelete: 'RESTRICT',
+      })
+    )
+    // checks during a window are tagged, see lib/maintenance.js
+    .then(() =>
+      queryInterface.addColumn('health_check', 'maintenance', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      })
+    )
+    .then(() =>
+      queryInterface.changeColumn('consensus', 'status', {
+        type: DataTypes.ENUM('error', 'warning', 'success', 'maintenance'),
+        allowNull: false,
+      })
+    )
+    .then(() =>
+      queryInterface.addColumn('status_hourly', 'maintenanceCount', {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      })
+    )
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeColumn('status_hourly', 'maintenanceCount')
+  await queryInterface.sequelize.query("DELETE FROM `consensus` WHERE `status` = 'maintenance'")
+  await queryInterface.changeColumn('consensus', 'status', {
+    type: DataTypes.ENUM('error', 'warning', 'success'),
+    allowNull: false,
+  })
+  await queryInterface.removeColumn('health_check', 'maintenance')
+  await queryInterface.dropTable('maintenance_window')
+}
+
+export { up, down }
@@ -0,0 +1,61 @@
+import { DataTypes, QueryTypes } from 'sequelize'
+
+import { classifyCheck } from '../../lib/error-class.js'
+
+// the taxonomy when this migration was written, see lib/error-class.js
+const errorClasses = [
+  'dns',
+  'tcp_refused',
+  'tcp_reset',
+  'tcp_unreachable',
+  'tls_error',
+  'ws_upgrade_rejected',
+  'ws_closed',
+  'rate_limited',
+  'rpc_timeout',
+  'rpc_error',
+  'wrong_chain',
+  'sync_lag',
+  'slow_response',
+  'probe_failed',
+  'http_error',
+  'peer_id_mismatch',
+  'protocol_refused',
+  'unknown',
+]
+
+async function up({ context: queryInterface }) {
+  await queryInterface.addColumn('health_check', 'errorClass', {
+    type: DataTypes.ENUM(...errorClasses),
+    allowNull: true,
+  })
+  await queryInterface.sequelize.query(
+    'ALTER TABLE `health_check` ADD INDEX IF NOT EXISTS `health_check_error_class_created_at` (`errorClass`, `createdAt`)'
+  )
+  // classify the failed checks we still have, a batch at a time
+  var lastId = 0
+  while (true) {
+    const rows = await queryInterface.sequelize.query(
+      "SELECT `id`, `type`, `status`, `record` FROM `health_check` \
+        WHERE `id` > ? AND `status` != 'success' ORDER BY `id` LIMIT 1000",
+      { replacements: [lastId], type: QueryTypes.SELECT }
+    )
+    if (rows.length === 0) break
+    for (const row of rows) {
+      // classifyCheck() is the live taxonomy, a class added later is not in this enum yet
+      const errorClass = classifyCheck(row)
+      await queryInterface.sequelize.query(
+        'UPDATE `health_check` SET `errorClass` = ? WHERE `id` = ?',
+        { replacements: [errorClasses.includes(errorClass) ? errorClass : 'unknown', row.id] }
+      )
+    }
+    lastId = rows[rows.length - 1].id
+  }
+}
+
+async function down({ context: queryInterface }) {
+  await queryInterface.removeIndex('health_check', 'health_check_error_class_created_at')
+  await queryInterface.removeColumn('health_check', 'errorClass')
+}
+
+export { up, down }
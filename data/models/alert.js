@@ -0,0 +1,82 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+// one row per rule/member/service while it fires, see lib/alert-engine.js
+export const alertModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    // cfg.alerts.rules[].name
+    rule: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('firing', 'resolved'),
+      allowNull: false,
+    },
+    // a silence or a maintenance window matched, see cfg.alerts.silences and lib/maintenance.js
+    silenced: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    message: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    firedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // set on a firing alert while its recovery notice is pending
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // last notice sent, null until the firing notice went out
+    notifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // what the rule saw, e.g. the consensus windows
+    details: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'alert',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: true,
+    indexes: [{ fields: ['rule', 'memberId', 'serviceId', 'status'] }, { fields: ['firedAt'] }],
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['firedAt', 'DESC']],
+    },
+  },
+}
@@ -15,6 +15,11 @@ export const chainModel = {
       type: DataTypes.STRING(64),
       allowNull: false,
     },
+    // runtime specName, null when not validated
+    specName: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
     relayChainId: {
       type: DataTypes.STRING(64),
       allowNull: true,
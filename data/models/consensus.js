@@ -0,0 +1,74 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+export const consensusModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    windowStart: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    windowEnd: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // verdict of all monitors, see lib/consensus-engine.js
+    // `maintenance` when all checks of the window were during a maintenance window
+    status: {
+      type: DataTypes.ENUM('error', 'warning', 'success', 'maintenance'),
+      allowNull: false,
+    },
+    // number of independent monitors that reported in the window
+    monitorCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    successCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    warningCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    errorCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'consensus',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: true,
+    indexes: [{ unique: true, fields: ['memberId', 'serviceId', 'windowStart'] }],
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['windowStart', 'DESC']],
+    },
+  },
+}
@@ -0,0 +1,55 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+export const gossipDecisionModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    // no foreign keys, gossip from unknown monitors can reference anything
+    monitorId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
+    decision: {
+      type: DataTypes.ENUM('quarantine', 'reject'),
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    // the gossiped healthCheck, only kept for quarantine
+    record: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'gossip_decision',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: false,
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['id', 'DESC']],
+    },
+  },
+}
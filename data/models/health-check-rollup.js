@@ -0,0 +1,103 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+// health checks rolled up per hour or day, see lib/rollup.js
+const definition = {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    allowNull: false,
+    primaryKey: true,
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  serviceId: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+  },
+  memberId: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+  },
+  type: {
+    type: DataTypes.ENUM('service_check', 'system_health', 'best_block', 'bootnode_check'),
+    allowNull: false,
+  },
+  checkCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  successCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  warningCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  errorCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // responseTimeMs of the checks that have one
+  responseTimeAvg: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  responseTimeP50: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  responseTimeP90: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  responseTimeP99: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  // blocks behind the median of all members
+  blockLagAvg: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  blockLagMax: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('now'),
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('now'),
+  },
+}
+
+const options = (tableName) => ({
+  tableName,
+  timestamps: true,
+  createdAt: true,
+  updatedAt: true,
+  indexes: [{ unique: true, fields: ['memberId', 'serviceId', 'type', 'periodStart'] }],
+  defaultScope: {
+    attributes: {
+      exclude: [],
+    },
+    order: [['periodStart', 'DESC']],
+  },
+})
+
+export const healthCheckHourlyModel = {
+  definition,
+  options: options('health_check_hourly'),
+}
+
+export const healthCheckDailyModel = {
+  definition,
+  options: options('health_check_daily'),
+}
@@ -1,5 +1,7 @@
 import { DataTypes, Sequelize } from 'sequelize'
 
+import { ERROR_CLASSES } from '../../lib/error-class.js'
+
 export const healthCheckModel = {
   definition: {
     id: {
@@ -30,7 +32,7 @@ export const healthCheckModel = {
       allowNull: false,
     },
     type: {
-      type: DataTypes.ENUM('service_check', 'system_health', 'best_block'),
+      type: DataTypes.ENUM('service_check', 'system_health', 'best_block', 'bootnode_check'),
       allowNull: false,
     },
     status: {
@@ -41,6 +43,65 @@ export const healthCheckModel = {
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+    // latency per phase: connection (lib/ws-timing.js), api metadata and the sum of rpc calls
+    dnsMs: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    tcpMs: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    tlsMs: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    wsUpgradeMs: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    metadataMs: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    rpcMs: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+    // blocks behind the median of all members, see lib/block-reference.js
+    blockLag: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    finalizedLag: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // days until the tls certificate expires, see lib/tls-check.js
+    certDaysToExpiry: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // member that signed the gossip, null for unsigned results
+    signerId: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
+    signatureStatus: {
+      type: DataTypes.ENUM('valid', 'invalid', 'unknown_key'),
+      allowNull: true,
+    },
+    // cause of a failed check, null on success, see lib/error-class.js
+    errorClass: {
+      type: DataTypes.ENUM(...ERROR_CLASSES),
+      allowNull: true,
+    },
+    // during a maintenance window of the member, see lib/maintenance.js
+    maintenance: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
     record: {
       type: DataTypes.JSON,
       allowNull: true,
@@ -56,6 +117,7 @@ export const healthCheckModel = {
     timestamps: true,
     createdAt: true,
     updatedAt: false,
+    indexes: [{ fields: ['createdAt'] }, { fields: ['errorClass', 'createdAt'] }],
     defaultScope: {
       attributes: {
         exclude: [],
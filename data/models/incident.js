@@ -0,0 +1,81 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+// outage of a member/service by consensus, see lib/incident-tracker.js
+export const incidentModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed'),
+      allowNull: false,
+    },
+    // start of the first failing consensus window
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // start of the first healthy window after it
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    durationSeconds: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // last failing window seen
+    lastWindowStart: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // monitors that reported an error
+    monitorIds: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    errorMessage: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    // a few of the failed checks, as examples
+    healthCheckIds: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'incident',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: true,
+    indexes: [{ fields: ['memberId', 'serviceId', 'status'] }, { fields: ['startedAt'] }],
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['startedAt', 'DESC']],
+    },
+  },
+}
@@ -0,0 +1,75 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+// planned maintenance of a member, see lib/maintenance.js
+export const maintenanceWindowModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    // [serviceId, ...], null for all services of the member
+    serviceIds: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    // announced by the member with their key, or created by the operator of this monitor
+    source: {
+      type: DataTypes.ENUM('member', 'operator'),
+      allowNull: false,
+    },
+    // signed announcement, see lib/signed-message.js. Relayed on /ibp/signedMessage
+    signature: {
+      type: DataTypes.STRING(256),
+      allowNull: true,
+    },
+    envelope: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'maintenance_window',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: true,
+    indexes: [
+      { fields: ['memberId', 'endsAt'] },
+      { fields: ['endsAt'] },
+      { unique: true, fields: ['signature'] },
+    ],
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['startsAt', 'DESC']],
+    },
+  },
+}
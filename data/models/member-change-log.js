@@ -0,0 +1,66 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+export const memberChangeLogModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    // endpoint and bootnode changes
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
+    changeType: {
+      type: DataTypes.ENUM(
+        'member_added',
+        'member_removed',
+        'level',
+        'status',
+        'ip_address',
+        'profile',
+        'endpoint_added',
+        'endpoint_changed',
+        'endpoint_removed',
+        'bootnode_added',
+        'bootnode_removed'
+      ),
+      allowNull: false,
+    },
+    field: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    oldValue: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    newValue: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'member_change_log',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: false,
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['id', 'DESC']],
+    },
+  },
+}
@@ -0,0 +1,44 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+export const memberServiceBootnodeModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    multiaddress: {
+      type: DataTypes.STRING(256),
+      allowNull: false,
+    },
+    peerId: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'member_service_bootnode',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: true,
+  },
+}
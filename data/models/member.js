@@ -27,6 +27,11 @@ export const memberModel = {
       type: DataTypes.STRING(256),
       allowNull: true,
     },
+    // hex public key or ss58 address, used to verify /ibp/signedMessage
+    publicKey: {
+      type: DataTypes.STRING(66),
+      allowNull: true,
+    },
     membershipType: {
       type: DataTypes.ENUM('hobbyist', 'professional'),
       allowNull: false,
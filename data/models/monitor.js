@@ -20,6 +20,11 @@ export const monitorModel = {
       allowNull: false,
       defaultValue: 'active',
     },
+    // the member operating this monitor, see lib/message-handler.js
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false,
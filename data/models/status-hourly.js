@@ -0,0 +1,71 @@
+import { DataTypes, Sequelize } from 'sequelize'
+
+// consensus verdicts per member/service/hour, for /api/status, see lib/consensus-engine.js
+export const statusHourlyModel = {
+  definition: {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+    },
+    serviceId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    memberId: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+    hour: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // consensus windows in the hour, per status
+    successCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    warningCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    errorCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    maintenanceCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // most independent monitors in a window of the hour
+    monitorCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('now'),
+    },
+  },
+  options: {
+    tableName: 'status_hourly',
+    timestamps: true,
+    createdAt: true,
+    updatedAt: true,
+    indexes: [{ unique: true, fields: ['serviceId', 'hour', 'memberId'] }, { fields: ['hour'] }],
+    defaultScope: {
+      attributes: {
+        exclude: [],
+      },
+      order: [['hour', 'DESC']],
+    },
+  },
+}
@@ -70,6 +70,20 @@ export interface IHealthCheck {
   peerId: string
   source: string
   status: string
+  blockLag: number | null
+  finalizedLag: number | null
+  certDaysToExpiry: number | null
+  dnsMs: number | null
+  tcpMs: number | null
+  tlsMs: number | null
+  wsUpgradeMs: number | null
+  metadataMs: number | null
+  rpcMs: number | null
+  signerId: string
+  signatureStatus: string
+  // cause of a failed check, see lib/error-class.js
+  errorClass: string | null
+  maintenance: boolean
   record: any
   createdAt: number
 }
@@ -80,3 +94,16 @@ export interface IGeoDnsPool {
   host: string
   createdAt: number
 }
+
+export interface IIncident {
+  id: number
+  memberId: string
+  serviceId: string
+  status: 'open' | 'closed'
+  startedAt: string
+  endedAt: string | null
+  durationSeconds: number | null
+  monitorIds: string[]
+  errorMessage: string | null
+  healthCheckIds: number[]
+}
@@ -13,6 +13,8 @@ import Checks from '@/components/Checks.vue'
 import Check from '@/components/Check.vue'
 import Message from '@/components/Message.vue'
 import Status from '@/components/Status.vue'
+import Sla from '@/components/Sla.vue'
+import Incidents from '@/components/Incidents.vue'
 
 const routes = [
   // {
@@ -83,6 +85,16 @@ const routes = [
     name: 'Status',
     component: Status,
   },
+  {
+    path: '/sla',
+    name: 'Sla',
+    component: Sla,
+  },
+  {
+    path: '/incident',
+    name: 'Incidents',
+    component: Incidents,
+  },
   // {
   //   path: '/about',
   //   name: 'about',
@@ -8,6 +8,8 @@ import service from './modules/service'
 import monitor from './modules/monitor'
 import healthCheck from './modules/health-check'
 import status from './modules/status'
+import sla from './modules/sla'
+import incident from './modules/incident'
 import libp2p from './modules/libp2p'
 
 export interface IState {
@@ -105,5 +107,7 @@ export const store = createStore({
     healthCheck,
     libp2p,
     status,
+    sla,
+    incident,
   },
 })
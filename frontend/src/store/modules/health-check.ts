@@ -8,6 +8,9 @@ export interface IState {
   offset: number
   limit: number
   pagination: any
+  // filter, see lib/error-class.js
+  errorClass: string
+  errorClasses: string[]
   healthCheck: any
   // healthChecks: any[]
 }
@@ -21,6 +24,8 @@ const healthCheck: Module<IState, IRootState> = {
     limit: 15,
     healthCheck: {},
     pagination: { pages: [] },
+    errorClass: '',
+    errorClasses: [],
     // healthChecks: []
   },
   mutations: {
@@ -39,28 +44,45 @@ const healthCheck: Module<IState, IRootState> = {
     SET_LIMIT(state: IState, value: number) {
       state.limit = value
     },
+    SET_ERROR_CLASS(state: IState, value: string) {
+      state.errorClass = value
+    },
+    SET_ERROR_CLASSES(state: IState, value: string[]) {
+      state.errorClasses = value
+    },
     SET_HEALTH_CHECK(state: IState, value: any) {
       console.debug('SET_HEALTH_CHECK()', value)
       state.healthCheck = value
     },
   },
   actions: {
-    async getList({ state, commit, dispatch }: any, { offset, limit }: any) {
-      if (offset) {
-        commit('SET_OFFSET', offset)
+    async getList({ state, commit, dispatch }: any, { offset, limit, errorClass }: any) {
+      if (offset !== undefined) {
+        commit('SET_OFFSET', Number(offset))
+      }
+      if (errorClass !== undefined) {
+        commit('SET_ERROR_CLASS', errorClass)
       }
       if (limit) {
         commit('SET_LIMIT', limit)
       }
       commit('SET_LOADING', true)
       const res = await axios.get('/api/healthCheck', {
-        params: { offset: offset || state.offset, limit: limit || state.limit },
+        params: {
+          offset: state.offset,
+          limit: limit || state.limit,
+          errorClass: state.errorClass || undefined,
+        },
       })
       commit('SET_LIST', res.data.models)
       commit('SET_LOADING', false)
       commit('SET_PAGINATION', res.data.pagination)
       dispatch('setLocalMonitorId', res.data.localMonitorId, { root: true })
     },
+    async getErrorClasses({ commit }: any) {
+      const res = await axios.get('/api/errorClass')
+      commit('SET_ERROR_CLASSES', res.data.errorClasses)
+    },
     async setHealthCheck({ state, commit }: any, monitorId: string) {
       const res = await axios.get(`/api/healthCheck/${monitorId}`)
       commit('SET_HEALTH_CHECK', res.data.model)
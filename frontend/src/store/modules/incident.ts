@@ -0,0 +1,61 @@
+import axios from 'axios'
+import { Module } from 'vuex'
+import { IState as IRootState } from '../index'
+import { IIncident } from '../../components/types'
+
+export interface IState {
+  list: IIncident[]
+  loading: boolean
+  status: string
+  offset: number
+  limit: number
+  count: number
+}
+
+const incident: Module<IState, IRootState> = {
+  namespaced: true,
+  state: {
+    list: [],
+    loading: false,
+    status: '',
+    offset: 0,
+    limit: 25,
+    count: 0,
+  },
+  mutations: {
+    SET_LIST(state: IState, list: IIncident[]) {
+      state.list = list
+    },
+    SET_LOADING(state: IState, value: boolean) {
+      state.loading = value
+    },
+    SET_STATUS(state: IState, value: string) {
+      state.status = value
+    },
+    SET_OFFSET(state: IState, value: number) {
+      state.offset = value
+    },
+    SET_COUNT(state: IState, value: number) {
+      state.count = value
+    },
+  },
+  actions: {
+    async getList({ state, commit }: any, { status, offset }: any = {}) {
+      if (status !== undefined) {
+        commit('SET_STATUS', status)
+      }
+      if (offset !== undefined) {
+        commit('SET_OFFSET', offset)
+      }
+      commit('SET_LOADING', true)
+      const res = await axios.get('/api/incident', {
+        params: { status: state.status || undefined, offset: state.offset, limit: state.limit },
+      })
+      commit('SET_LIST', res.data.incidents)
+      commit('SET_COUNT', res.data.count)
+      commit('SET_LOADING', false)
+    },
+  },
+}
+
+export default incident
@@ -8,6 +8,7 @@ export interface IState {
   model: any
   nodes: any[]
   healthChecks: any[]
+  incidents: any[]
 }
 
 // Vue.use(Vuex)
@@ -19,6 +20,7 @@ const member: Module<IState, IRootState> = {
     model: {},
     nodes: [],
     healthChecks: [],
+    incidents: [],
   },
   mutations: {
     SET_LIST(state: IState, list: any[]) {
@@ -36,6 +38,9 @@ const member: Module<IState, IRootState> = {
       console.debug('SET_HEALTHCHECKS()', value)
       state.healthChecks = value
     },
+    SET_INCIDENTS(state: IState, value: any) {
+      state.incidents = value
+    },
   },
   actions: {
     async getList({ commit, dispatch }: any) {
@@ -57,6 +62,10 @@ const member: Module<IState, IRootState> = {
       const res = await axios.get(`/api/member/${memberId}/healthChecks`)
       commit('SET_HEALTHCHECKS', res.data.healthChecks)
     },
+    async getIncidents({ commit }: any, memberId: string) {
+      const res = await axios.get(`/api/member/${memberId}/incidents`, { params: { limit: 50 } })
+      commit('SET_INCIDENTS', res.data.incidents)
+    },
   },
 }
 
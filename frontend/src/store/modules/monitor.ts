@@ -49,7 +49,12 @@ const monitor: Module<IState, IRootState> = {
       // const service = state.list.find((f: any) => f.serviceUrl === serviceUrl)
       const res = await axios.get(`/api/monitor/${monitorId}`)
       // commit('SET_DATETIME_FORMAT', res.data.dateTimeFormat)
-      commit('SET_MONITOR', { ...res.data.monitor, healthChecks: res.data.healthChecks })
+      commit('SET_MONITOR', {
+        ...res.data.monitor,
+        trust: res.data.trust,
+        healthChecks: res.data.healthChecks,
+        gossipDecisions: res.data.gossipDecisions,
+      })
       // commit('SET_MONITORS', res.data.monitors)
       // commit('SET_HEALTH_CHECKS', res.data.healthChecks)
     },
@@ -0,0 +1,65 @@
+import axios from 'axios'
+import { Module } from 'vuex'
+import { IState as IRootState } from '../index'
+
+export interface ISla {
+  month: string
+  memberId: string
+  serviceId: string
+  membershipLevelId: number
+  windows: number
+  successWindows: number
+  warningWindows: number
+  errorWindows: number
+  maintenanceWindows: number
+  availability: number | null
+  availabilityTarget: number
+  availabilityMet: boolean
+  latencyHours: number
+  latencyCompliantHours: number
+  latencyCompliance: number | null
+  latencyComplianceTarget: number
+  latencyMs: number
+  latencyMet: boolean
+  responseTimeAvg: number | null
+  met: boolean
+}
+
+export interface IState {
+  month: string
+  list: ISla[]
+  loading: boolean
+}
+
+const sla: Module<IState, IRootState> = {
+  namespaced: true,
+  state: {
+    month: new Date().toISOString().slice(0, 7),
+    list: [],
+    loading: false,
+  },
+  mutations: {
+    SET_MONTH(state: IState, month: string) {
+      state.month = month
+    },
+    SET_LIST(state: IState, list: ISla[]) {
+      state.list = list
+    },
+    SET_LOADING(state: IState, value: boolean) {
+      state.loading = value
+    },
+  },
+  actions: {
+    async getList({ state, commit }: any, { month }: any = {}) {
+      if (month) {
+        commit('SET_MONTH', month)
+      }
+      commit('SET_LOADING', true)
+      const res = await axios.get('/api/sla', { params: { month: state.month } })
+      commit('SET_LIST', res.data.sla)
+      commit('SET_LOADING', false)
+    },
+  },
+}
+
+export default sla
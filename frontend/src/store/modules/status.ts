@@ -9,6 +9,10 @@ export interface IStatus {
         success: number
         warning: number
         error: number
+        // windows during a maintenance window of the member
+        maintenance: number
+        // independent monitors in the consensus
+        monitors: number
         status: string
       }
     }
@@ -0,0 +1,270 @@
+import { Op } from 'sequelize'
+
+import { ConsensusEngine } from './consensus-engine.js'
+import { Maintenance } from './maintenance.js'
+import { SlaEngine } from './sla-engine.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+/**
+ * Alert rules over the consensus and the latest checks, see cfg.alerts.
+ *
+ * Rule types:
+ * - consensus: the last `windows` completed consensus windows are all in `status`
+ * - latency: a quorum of independent monitors has only checks slower than `latencyMs` in the
+ *   last `minutes`, by default the SLA target of the member, see lib/sla-engine.js. The quorum
+ *   is the one of the consensus, see ConsensusEngine.verdict()
+ *
+ * An alert row is kept per rule/member/service while it fires: the firing notice goes out once,
+ * the recovery notice when the condition clears, either is retried until a channel takes it.
+ * A member/service without data keeps its state.
+ * Silences suppress the notices, an alert that is still firing when its silence ends is sent then.
+ * A maintenance window of the member silences it too, and its checks are left out of the
+ * conditions, see lib/maintenance.js
+ */
+class AlertEngine {
+  datastore = undefined
+  notifiers = {}
+  rules = []
+  silences = []
+
+  /**
+   * @param {*} options - { datastore, notifiers: see lib/notifiers.js }
+   */
+  constructor({ datastore, notifiers = {} }) {
+    this.datastore = datastore
+    this.notifiers = notifiers
+    this.rules = cfg.alerts?.rules || []
+    this.silences = cfg.alerts?.silences || []
+    this._consensus = new ConsensusEngine({ datastore })
+    this._sla = new SlaEngine({ datastore })
+    this._maintenance = new Maintenance({ datastore })
+  }
+
+  // undefined matches all, a string or array of strings matches those
+  _matches(filter, value) {
+    return filter === undefined || [].concat(filter).includes(value)
+  }
+
+  applies(rule, memberId, serviceId) {
+    return this._matches(rule.memberId, memberId) && this._matches(rule.serviceId, serviceId)
+  }
+
+  /**
+   * The silence for an alert, if any
+   * @param {*} silence - { rule, memberId, serviceId, startsAt, endsAt, reason }, all optional
+   */
+  silenced(rule, memberId, serviceId, at = new Date()) {
+    return this.silences.find(
+      (s) =>
+        this._matches(s.rule, rule.name) &&
+        this._matches(s.memberId, memberId) &&
+        this._matches(s.serviceId, serviceId) &&
+        (!s.startsAt || new Date(s.startsAt) <= at) &&
+        (!s.endsAt || new Date(s.endsAt) > at)
+    )
+  }
+
+  /**
+   * @returns { [memberId|serviceId]: { firing, message, details } }
+   */
+  async _consensusConditions(rule) {
+    const windows = rule.windows || 3
+    const statuses = [].concat(rule.status || 'error')
+    const windowMs = (cfg.consensus?.window || 15 * 60) * 1000
+    const now = Date.now()
+    const current = Math.floor(now / windowMs) * windowMs
+    // the current window is still open, its verdict can change
+    const verdicts = await this.datastore.Consensus.findAll({
+      attributes: ['memberId', 'serviceId', 'windowStart', 'status', 'monitorCount'],
+      where: {
+        windowStart: {
+          [Op.gte]: new Date(current - windows * windowMs),
+          [Op.lt]: new Date(current),
+        },
+      },
+      order: [['windowStart', 'ASC']],
+    })
+    const grouped = {}
+    for (let verdict of verdicts) {
+      const key = `${verdict.memberId}|${verdict.serviceId}`
+      grouped[key] = grouped[key] || []
+      grouped[key].push(verdict)
+    }
+    const conditions = {}
+    for (let [key, list] of Object.entries(grouped)) {
+      const matching = list.filter((v) => statuses.includes(v.status)).length
+      conditions[key] = {
+        // a missing window breaks the run
+        firing: list.length === windows && matching === windows,
+        message: `${statuses.join('/')} for ${matching} of the last ${windows} consensus windows`,
+        details: {
+          windows: list.map((v) => ({
+            windowStart: v.windowStart,
+            status: v.status,
+            monitorCount: v.monitorCount,
+          })),
+        },
+      }
+    }
+    return conditions
+  }
+
+  async _latencyConditions(rule) {
+    const minutes = rule.minutes || 15
+    const minChecks = rule.minChecks || 3
+    const members = await this.datastore.Member.findAll()
+    const healthChecks = await this.datastore.HealthCheck.findAll({
+      attributes: ['monitorId', 'memberId', 'serviceId', 'responseTimeMs'],
+      include: [{ association: 'monitor', attributes: ['memberId'] }],
+      where: {
+        type: 'service_check',
+        status: { [Op.ne]: 'error' },
+        maintenance: false,
+        responseTimeMs: { [Op.ne]: null },
+        createdAt: { [Op.gte]: new Date(Date.now() - minutes * 60 * 1000) },
+      },
+      order: [],
+    })
+    // memberId|serviceId => monitor => response times, as in ConsensusEngine.computeWindow()
+    const grouped = {}
+    for (let healthCheck of healthChecks) {
+      const key = `${healthCheck.memberId}|${healthCheck.serviceId}`
+      const monitorKey = healthCheck.monitor?.memberId || healthCheck.monitorId
+      grouped[key] = grouped[key] || {}
+      grouped[key][monitorKey] = grouped[key][monitorKey] || []
+      grouped[key][monitorKey].push(healthCheck.responseTimeMs)
+    }
+    const conditions = {}
+    for (let [key, monitors] of Object.entries(grouped)) {
+      const member = members.find((m) => m.id === key.split('|')[0])
+      const latencyMs = rule.latencyMs || this._sla.targets(member?.membershipLevelId).latencyMs
+      const times = Object.values(monitors).flat()
+      // a monitor sees the member slow when all its checks are, one bad path is no quorum
+      const monitorStatuses = Object.values(monitors).map((t) =>
+        t.every((ms) => ms > latencyMs) ? 'error' : 'success'
+      )
+      const { status, monitorCount, errorCount } = this._consensus.verdict(monitorStatuses)
+      const slow = `${errorCount} of ${monitorCount} monitors over ${latencyMs} ms`
+      conditions[key] = {
+        firing: times.length >= minChecks && status === 'error',
+        message: `${slow} in ${minutes} minutes`,
+        details: {
+          latencyMs,
+          checkCount: times.length,
+          monitorCount,
+          slowMonitors: errorCount,
+          fastest: Math.min(...times),
+          slowest: Math.max(...times),
+        },
+      }
+    }
+    return conditions
+  }
+
+  /**
+   * Send a notice to the channels of the rule, all channels by default
+   * @returns true when at least one channel took it
+   */
+  async notify(rule, alert, kind) {
+    const names = rule.channels || Object.keys(this.notifiers)
+    const notice = {
+      kind,
+      rule: rule.name,
+      memberId: alert.memberId,
+      serviceId: alert.serviceId,
+      message: alert.message,
+      firedAt: alert.firedAt,
+      resolvedAt: alert.resolvedAt,
+      details: alert.details,
+    }
+    var sent = names.length === 0
+    for (const name of names) {
+      const notifier = this.notifiers[name]
+      if (!notifier) {
+        console.warn('AlertEngine: no channel', name)
+        continue
+      }
+      try {
+        await notifier.send(notice)
+        sent = true
+      } catch (err) {
+        console.warn('AlertEngine: sending to', name, 'failed:', err.message)
+      }
+    }
+    return sent
+  }
+
+  async _evaluateRule(rule) {
+    const conditions =
+      rule.type === 'latency'
+        ? await this._latencyConditions(rule)
+        : await this._consensusConditions(rule)
+    const open = await this.datastore.Alert.findAll({
+      where: { rule: rule.name, status: 'firing' },
+    })
+    const now = new Date()
+    const maintenance = await this._maintenance.windows(now)
+    const counts = { fired: 0, resolved: 0, notified: 0 }
+    for (let [key, condition] of Object.entries(conditions)) {
+      const [memberId, serviceId] = key.split('|')
+      if (!this.applies(rule, memberId, serviceId)) continue
+      const silenced =
+        !!this.silenced(rule, memberId, serviceId, now) ||
+        maintenance.some((w) => this._maintenance.covers(w, memberId, serviceId, now))
+      var alert = open.find((a) => a.memberId === memberId && a.serviceId === serviceId)
+      if (condition.firing && !alert) {
+        alert = await this.datastore.Alert.create({
+          rule: rule.name,
+          memberId,
+          serviceId,
+          status: 'firing',
+          silenced,
+          message: condition.message.slice(0, 255),
+          firedAt: new Date(),
+          details: condition.details,
+        })
+        counts.fired++
+      } else if (!condition.firing && alert) {
+        // resolvedAt while still firing: the recovery notice is pending
+        if (!alert.resolvedAt) await alert.update({ resolvedAt: new Date() })
+        // no recovery notice for an alert nobody was told about, a failed one is retried
+        if (alert.notifiedAt && !silenced) {
+          if (!(await this.notify(rule, alert, 'resolved'))) continue
+          counts.notified++
+        }
+        await alert.update({ status: 'resolved', silenced })
+        counts.resolved++
+        continue
+      }
+      if (!alert) continue
+      // fires again before its recovery notice went out
+      if (alert.resolvedAt) await alert.update({ resolvedAt: null })
+      if (alert.silenced !== silenced) await alert.update({ silenced })
+      // dedup: one firing notice per alert, retried until a channel takes it
+      if (!alert.notifiedAt && !silenced && (await this.notify(rule, alert, 'firing'))) {
+        await alert.update({ notifiedAt: new Date() })
+        counts.notified++
+      }
+    }
+    return counts
+  }
+
+  /**
+   * Evaluate all rules, after ConsensusEngine.update()
+   */
+  async evaluate() {
+    for (const rule of this.rules) {
+      try {
+        const counts = await this._evaluateRule(rule)
+        console.debug('AlertEngine.evaluate()', rule.name, counts)
+      } catch (err) {
+        console.error('AlertEngine.evaluate()', rule.name, err)
+      }
+    }
+  }
+}
+
+export { AlertEngine }
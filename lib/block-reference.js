@@ -0,0 +1,118 @@
+import moment from 'moment'
+import { Op, fn, col } from 'sequelize'
+
+import { median } from './utils.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+/**
+ * Block height drift: a member is compared with the median of all members for the chain.
+ *
+ * The latest checks of the members are taken at different times, so each height is projected
+ * to `at` with the block rate of the chain, estimated from the members' last two checks.
+ * Every check needs the reference of its chain, cachedBlockReference() loads it once per
+ * cfg.blockLag.cacheTtl for all checks of a worker process.
+ */
+
+// chainId => { expires, reference: a promise }
+const cache = {}
+
+/**
+ * The reference height of a chain
+ * @param {*} datastore
+ * @param {string} chainId
+ * @returns { bestBlock, finalizedBlock, blocksPerSecond, memberCount, at } or null without checks
+ */
+async function blockReference(datastore, chainId) {
+  const services = await datastore.Service.findAll({ where: { chainId, type: 'rpc' } })
+  const healthChecks = await datastore.HealthCheck.findAll({
+    // only the heights, not the whole record
+    attributes: [
+      'memberId',
+      'createdAt',
+      [fn('JSON_VALUE', col('record'), '$.syncState.currentBlock'), 'bestBlock'],
+      [fn('JSON_VALUE', col('record'), '$.finalizedBlock'), 'finalizedBlock'],
+    ],
+    where: {
+      serviceId: { [Op.in]: services.map((s) => s.id) },
+      type: 'service_check',
+      status: { [Op.ne]: 'error' },
+      createdAt: { [Op.gte]: moment.utc().subtract(cfg.blockLag.window, 'seconds').toDate() },
+    },
+    order: [['id', 'DESC']],
+    raw: true,
+  })
+  // memberId => [{ bestBlock, finalizedBlock, time }], latest first
+  const heights = {}
+  for (let healthCheck of healthChecks) {
+    const bestBlock = Number(healthCheck.bestBlock)
+    const finalizedBlock = Number(healthCheck.finalizedBlock)
+    if (!bestBlock || !finalizedBlock) continue
+    heights[healthCheck.memberId] = heights[healthCheck.memberId] || []
+    heights[healthCheck.memberId].push({
+      bestBlock,
+      finalizedBlock,
+      time: new Date(healthCheck.createdAt).getTime(),
+    })
+  }
+  const members = Object.values(heights)
+  if (members.length === 0) return null
+
+  const rates = members
+    .filter((h) => h.length > 1 && h[0].time > h[1].time)
+    .map((h) => (h[0].bestBlock - h[1].bestBlock) / ((h[0].time - h[1].time) / 1000))
+  const blocksPerSecond = median(rates) || 1 / cfg.blockLag.blockTime
+
+  const at = Date.now()
+  const project = (height, time) => height + ((at - time) / 1000) * blocksPerSecond
+  return {
+    bestBlock: Math.round(median(members.map((h) => project(h[0].bestBlock, h[0].time)))),
+    finalizedBlock: Math.round(median(members.map((h) => project(h[0].finalizedBlock, h[0].time)))),
+    blocksPerSecond,
+    memberCount: members.length,
+    at,
+  }
+}
+
+/**
+ * blockReference(), shared for cfg.blockLag.cacheTtl. The reference is projected to the time of
+ * each check, see blockLag()
+ * @param {*} datastore
+ * @param {string} chainId
+ */
+function cachedBlockReference(datastore, chainId) {
+  const now = Date.now()
+  if (!cache[chainId] || cache[chainId].expires <= now) {
+    const reference = blockReference(datastore, chainId)
+    // a failed load is not kept
+    reference.catch(() => delete cache[chainId])
+    cache[chainId] = { expires: now + (cfg.blockLag.cacheTtl || 60) * 1000, reference }
+  }
+  return cache[chainId].reference
+}
+
+/**
+ * Lag of a node behind the reference, negative when ahead
+ * @param {*} reference - see blockReference()
+ * @param {number} bestBlock
+ * @param {number} finalizedBlock
+ * @param {number} at - when the heights were read, as millis
+ * @returns { blockLag, finalizedLag, status, reason }
+ */
+function blockLag(reference, bestBlock, finalizedBlock, at = Date.now()) {
+  if (!reference) return { blockLag: null, finalizedLag: null, status: 'success', reason: null }
+  const blocks = ((at - reference.at) / 1000) * reference.blocksPerSecond
+  const lag = {
+    blockLag: Math.round(reference.bestBlock + blocks - bestBlock),
+    finalizedLag: Math.round(reference.finalizedBlock + blocks - finalizedBlock),
+  }
+  const worst = Math.max(lag.blockLag, lag.finalizedLag)
+  const reason = lag.blockLag >= lag.finalizedLag ? 'best_block_lag' : 'finalized_block_lag'
+  if (worst >= cfg.blockLag.error) return { ...lag, status: 'error', reason }
+  if (worst >= cfg.blockLag.warning) return { ...lag, status: 'warning', reason }
+  return { ...lag, status: 'success', reason: null }
+}
+
+export { blockReference, cachedBlockReference, blockLag }
@@ -0,0 +1,158 @@
+import { createLibp2p } from 'libp2p'
+import { identifyService } from 'libp2p/identify'
+import { tcp } from '@libp2p/tcp'
+import { webSockets } from '@libp2p/websockets'
+import { noise } from '@chainsafe/libp2p-noise'
+import { yamux } from '@chainsafe/libp2p-yamux'
+import { mplex } from '@libp2p/mplex'
+import { multiaddr } from '@multiformats/multiaddr'
+import * as lp from 'it-length-prefixed'
+import { hexToU8a, u8aConcat, u8aToBn, u8aToHex } from '@polkadot/util'
+
+const TIMEOUT = 30 * 1000 // 30 seconds
+
+// substrate sc_network::Roles
+const ROLE_LIGHT = 0x02
+
+/**
+ * Probe a substrate bootnode with js-libp2p, no polkadot binary required.
+ *
+ * - dials the multiaddr over tcp, ws or wss (/ip4, /ip6, /dns, /dns4, /dns6)
+ * - compares the remote peer with the /p2p/ suffix of the address
+ * - opens /<genesisHash>/block-announces/1 and exchanges the handshake
+ */
+
+function withTimeout(promise, ms, message) {
+  var timeout
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error(message)), ms)
+    }),
+  ]).finally(() => clearTimeout(timeout))
+}
+
+/**
+ * BlockAnnouncesHandshake, SCALE encoded: roles u8, best_number u32, best_hash, genesis_hash.
+ * We announce ourselves as a light client at genesis, light slots are rarely full.
+ * @param {string} genesisHash - hex, without 0x
+ */
+function encodeHandshake(genesisHash) {
+  const genesis = hexToU8a(`0x${genesisHash}`)
+  return u8aConcat(new Uint8Array([ROLE_LIGHT]), new Uint8Array(4), genesis, genesis)
+}
+
+/**
+ * Decode the remote handshake. The block number width depends on the chain,
+ * so the hashes are taken from the end.
+ * @param {Uint8Array} bytes
+ */
+function decodeHandshake(bytes) {
+  if (bytes.length < 1 + 4 + 64) throw new Error(`Invalid handshake length ${bytes.length}`)
+  return {
+    roles: bytes[0],
+    bestNumber: u8aToBn(bytes.subarray(1, bytes.length - 64), { isLe: true }).toNumber(),
+    bestHash: u8aToHex(bytes.subarray(bytes.length - 64, bytes.length - 32)),
+    genesisHash: u8aToHex(bytes.subarray(bytes.length - 32)),
+  }
+}
+
+/**
+ * Open the block-announces notification substream and read the remote handshake
+ * @param {*} connection - libp2p Connection
+ * @param {string} protocol - /<genesisHash>/block-announces/1
+ * @param {string} genesisHash - hex, without 0x
+ */
+async function negotiateBlockAnnounces(connection, protocol, genesisHash) {
+  const stream = await connection.newStream(protocol, { signal: AbortSignal.timeout(TIMEOUT) })
+  var release
+  const released = new Promise((resolve) => (release = resolve))
+  // keep our side open until the remote answered, ending the sink closes the substream
+  stream
+    .sink(
+      (async function* () {
+        yield lp.encode.single(encodeHandshake(genesisHash))
+        await released
+      })()
+    )
+    .catch(() => {})
+  try {
+    const frames = lp.decode(stream.source)
+    const { value, done } = await withTimeout(frames.next(), TIMEOUT, 'Handshake timeout')
+    if (done) throw new Error('Substream closed before handshake')
+    return decodeHandshake(value.subarray())
+  } finally {
+    release()
+    stream.close()
+  }
+}
+
+/**
+ * Dial a bootnode, identify it and negotiate block-announces
+ * @param {string} address - bootnode multiaddr, including /p2p/<peerId>
+ * @param {*} chain - Chain model, for the genesisHash
+ * @returns the probe result
+ */
+async function probeBootnode(address, chain) {
+  const ma = multiaddr(address)
+  const expectedPeer = ma.getPeerId()
+  if (!expectedPeer) throw new Error(`Missing /p2p/ peer id: ${address}`)
+  const protoNames = ma.protoNames()
+  const transport = protoNames.includes('wss') ? 'wss' : protoNames.includes('ws') ? 'ws' : 'tcp'
+  const genesisHash = chain.genesisHash.replace(/^0x/, '')
+  const protocol = `/${genesisHash}/block-announces/1`
+
+  const node = await createLibp2p({
+    transports: [tcp(), webSockets()],
+    connectionEncryption: [noise()],
+    // substrate nodes use yamux, older nodes mplex
+    streamMuxers: [yamux(), mplex()],
+    services: { identify: identifyService() },
+    connectionManager: { minConnections: 0 },
+  })
+  await node.start()
+  try {
+    const identified = new Promise((resolve) => {
+      node.addEventListener('peer:identify', (evt) => resolve(evt.detail))
+    })
+    const start = performance.now()
+    // dial without the /p2p/ suffix, so a wrong peer id is reported rather than refused by noise
+    const connection = await node.dial(ma.decapsulateCode(421), {
+      signal: AbortSignal.timeout(TIMEOUT),
+    })
+    const connectTimeMs = performance.now() - start
+    const remotePeer = connection.remotePeer.toString()
+    const result = {
+      address,
+      transport,
+      expectedPeer,
+      remotePeer,
+      peerIdMatch: remotePeer === expectedPeer,
+      connectTimeMs,
+    }
+    if (!result.peerIdMatch) return result
+
+    const identify = await withTimeout(identified, TIMEOUT, 'Identify timeout')
+    result.agentVersion = identify.agentVersion
+    result.protocols = identify.protocols
+
+    const handshakeStart = performance.now()
+    try {
+      const handshake = await negotiateBlockAnnounces(connection, protocol, genesisHash)
+      result.blockAnnounces = {
+        protocol,
+        negotiated: true,
+        genesisMatch: handshake.genesisHash === `0x${genesisHash}`,
+        ...handshake,
+      }
+    } catch (err) {
+      result.blockAnnounces = { protocol, negotiated: false, error: err.message }
+    }
+    result.handshakeTimeMs = performance.now() - handshakeStart
+    return result
+  } finally {
+    await node.stop()
+  }
+}
+
+export { probeBootnode }
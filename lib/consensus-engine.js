@@ -0,0 +1,170 @@
+import moment from 'moment'
+import { Op } from 'sequelize'
+
+import { Maintenance } from './maintenance.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+/**
+ * Combine the results of all monitors for a member/service in a time window.
+ * A window is only marked `error` (or `warning`) when a quorum of independent monitors agrees,
+ * so one monitor with a bad network path can not drag a member down.
+ * The verdicts are summed up per hour into StatusHourly as they are stored, /api/status reads that.
+ * Checks during a maintenance window do not count, a window with only those gets the verdict
+ * `maintenance`, see lib/maintenance.js
+ */
+class ConsensusEngine {
+  datastore = undefined
+  window = 15 * 60 // as seconds
+  quorum = 0.5
+  minMonitors = 2
+  lookback = 3
+
+  constructor({ datastore }) {
+    this.datastore = datastore
+    Object.assign(this, cfg.consensus)
+    this.maintenance = new Maintenance({ datastore })
+  }
+
+  windowStart(date = new Date()) {
+    const ms = this.window * 1000
+    return new Date(Math.floor(date.getTime() / ms) * ms)
+  }
+
+  /**
+   * Status of a single monitor over its checks in the window, the majority wins
+   * @param {*} statuses - ['success', 'error', ...]
+   */
+  _monitorStatus(statuses = []) {
+    const errors = statuses.filter((s) => s === 'error').length
+    const failures = statuses.filter((s) => s !== 'success').length
+    if (errors * 2 > statuses.length) return 'error'
+    if (failures * 2 > statuses.length) return 'warning'
+    return 'success'
+  }
+
+  /**
+   * The verdict for one member/service. Warning or error needs more than `quorum` of the
+   * monitors, a tie does not decide: 1 error of 2 monitors is no error.
+   * @param {*} monitorStatuses - one status per independent monitor
+   */
+  verdict(monitorStatuses = []) {
+    const monitorCount = monitorStatuses.length
+    const successCount = monitorStatuses.filter((s) => s === 'success').length
+    const warningCount = monitorStatuses.filter((s) => s === 'warning').length
+    const errorCount = monitorStatuses.filter((s) => s === 'error').length
+    const needed = Math.max(this.minMonitors, Math.floor(this.quorum * monitorCount) + 1)
+    var status = 'success'
+    if (errorCount >= needed) {
+      status = 'error'
+    } else if (errorCount + warningCount >= needed) {
+      status = 'warning'
+    }
+    return { status, monitorCount, successCount, warningCount, errorCount }
+  }
+
+  /**
+   * Compute and store the verdicts for the window starting at windowStart
+   * @param {Date} windowStart
+   */
+  async computeWindow(windowStart) {
+    const windowEnd = new Date(windowStart.getTime() + this.window * 1000)
+    await this.maintenance.tag(windowStart, windowEnd)
+    const healthChecks = await this.datastore.HealthCheck.findAll({
+      attributes: ['monitorId', 'memberId', 'serviceId', 'status', 'maintenance'],
+      include: [{ association: 'monitor', attributes: ['memberId'] }],
+      where: { createdAt: { [Op.gte]: windowStart, [Op.lt]: windowEnd } },
+      order: [],
+    })
+    // memberId.serviceId => monitor => statuses
+    const grouped = {}
+    for (let healthCheck of healthChecks) {
+      const key = `${healthCheck.memberId}|${healthCheck.serviceId}`
+      // monitors run by the same member are not independent
+      const monitorKey = healthCheck.monitor?.memberId || healthCheck.monitorId
+      grouped[key] = grouped[key] || {}
+      if (healthCheck.maintenance) continue
+      grouped[key][monitorKey] = grouped[key][monitorKey] || []
+      grouped[key][monitorKey].push(healthCheck.status)
+    }
+    for (let [key, monitors] of Object.entries(grouped)) {
+      const [memberId, serviceId] = key.split('|')
+      const monitorStatuses = Object.values(monitors).map((s) => this._monitorStatus(s))
+      const verdict = this.verdict(monitorStatuses)
+      // all checks during maintenance
+      if (monitorStatuses.length === 0) verdict.status = 'maintenance'
+      await this.datastore.Consensus.upsert({
+        memberId,
+        serviceId,
+        windowStart,
+        windowEnd,
+        ...verdict,
+      })
+    }
+    return Object.keys(grouped).length
+  }
+
+  /**
+   * Sum up the verdicts of the hour starting at hour into StatusHourly
+   * @param {Date} hour
+   */
+  async computeHour(hour) {
+    const hourEnd = new Date(hour.getTime() + 60 * 60 * 1000)
+    const verdicts = await this.datastore.Consensus.findAll({
+      attributes: ['memberId', 'serviceId', 'status', 'monitorCount'],
+      where: { windowStart: { [Op.gte]: hour, [Op.lt]: hourEnd } },
+      order: [],
+    })
+    // serviceId.memberId => counts
+    const grouped = {}
+    for (let verdict of verdicts) {
+      const key = `${verdict.serviceId}|${verdict.memberId}`
+      const value = grouped[key] || {
+        successCount: 0,
+        warningCount: 0,
+        errorCount: 0,
+        maintenanceCount: 0,
+        monitorCount: 0,
+      }
+      value[`${verdict.status}Count`]++
+      value.monitorCount = Math.max(value.monitorCount, verdict.monitorCount)
+      grouped[key] = value
+    }
+    for (let [key, value] of Object.entries(grouped)) {
+      const [serviceId, memberId] = key.split('|')
+      await this.datastore.StatusHourly.upsert({ serviceId, memberId, hour, ...value })
+    }
+    return Object.keys(grouped).length
+  }
+
+  /**
+   * Recompute the windows from..to, then the hours of those windows
+   * @param {Date} from
+   * @param {Date} to
+   */
+  async recompute(from, to = new Date()) {
+    const hours = new Set()
+    const end = Math.min(new Date(to).getTime(), Date.now())
+    for (let start = this.windowStart(from).getTime(); start < end; start += this.window * 1000) {
+      const windowStart = new Date(start)
+      const count = await this.computeWindow(windowStart)
+      console.debug('ConsensusEngine.recompute()', moment.utc(windowStart).format(), count)
+      hours.add(Math.floor(start / (60 * 60 * 1000)) * 60 * 60 * 1000)
+    }
+    for (let hour of hours) {
+      await this.computeHour(new Date(hour))
+    }
+  }
+
+  /**
+   * Recompute the current window, and a few before it: gossip can arrive late
+   */
+  async update() {
+    const current = this.windowStart()
+    await this.recompute(new Date(current.getTime() - this.lookback * this.window * 1000))
+  }
+}
+
+export { ConsensusEngine }
@@ -0,0 +1,122 @@
+/**
+ * Failed checks by cause. The error of a check ranges from socket errors to json-rpc and websocket
+ * close events, classifyCheck() maps a result onto a fixed set of classes so they can be counted.
+ * The class is stored in health_check.errorClass, null for a successful check.
+ */
+
+const ERROR_CLASSES = [
+  'dns', // name does not resolve
+  'tcp_refused', // connection refused
+  'tcp_reset', // connection reset or closed mid-request
+  'tcp_unreachable', // connect timed out, host or network unreachable
+  'tls_error', // handshake failed, invalid or expiring certificate
+  'ws_upgrade_rejected', // http response instead of 101 Switching Protocols
+  'ws_closed', // websocket closed by the remote
+  'rate_limited', // http 429
+  'rpc_timeout', // no (timely) answer to a json-rpc call
+  'rpc_error', // json-rpc error response
+  'wrong_chain', // genesis or spec name of another chain
+  'sync_lag', // best or finalized block behind the other members
+  'slow_response', // system_health over cfg.performance.sla
+  'probe_failed', // rpc probe failed, see lib/rpc-probes.js
+  'http_error', // https json-rpc failed, the websocket is fine
+  'peer_id_mismatch', // bootnode answered with another peer id
+  'protocol_refused', // bootnode refused block announces
+  'unknown',
+]
+
+// first match wins: 429 before the upgrade, the connection phases before timeouts
+const patterns = [
+  ['rate_limited', /\b429\b|too many requests|rate.?limit/i],
+  ['dns', /ENOTFOUND|EAI_AGAIN|EAI_NONAME|EAI_FAIL|getaddrinfo/],
+  ['tcp_refused', /ECONNREFUSED/],
+  ['tcp_unreachable', /ETIMEDOUT|EHOSTUNREACH|ENETUNREACH|EHOSTDOWN/],
+  ['tcp_reset', /ECONNRESET|EPIPE|ECONNABORTED|socket hang up/i],
+  [
+    'tls_error',
+    /ERR_TLS|ERR_SSL|SSL routines|CERT_|certificate|self[- ]signed|unable to verify|Hostname\/IP/i,
+  ],
+  ['ws_upgrade_rejected', /Unexpected server response|expected 101|HTTP \d{3}/i],
+  ['ws_closed', /disconnected from|Abnormal Closure|WebSocket is not open|\b1\d{3}::/i],
+  ['rpc_timeout', /No response received|TimeoutException|timed? ?out|Timeout/i],
+  ['rpc_error', /-32\d{3}|RPC-CORE|JSON-RPC|\bRPC\b/i],
+]
+
+// record.reason of a check, see workers/f-check-service.js
+const reasons = {
+  genesis_mismatch: 'wrong_chain',
+  spec_name_mismatch: 'wrong_chain',
+  best_block_lag: 'sync_lag',
+  finalized_block_lag: 'sync_lag',
+  response_time: 'slow_response',
+  probe_failed: 'probe_failed',
+  tls_error: 'tls_error',
+  tls_expired: 'tls_error',
+  tls_expiry: 'tls_error',
+  tls_hostname_mismatch: 'tls_error',
+  tls_untrusted: 'tls_error',
+}
+
+// the text of an error, a serialized error (see serialize-error) or an event, with its causes
+function errorText(error, depth = 0) {
+  if (!error || depth > 3) return ''
+  if (typeof error === 'string') return error
+  const parts = [error.code, error.name, error.message, error.reason, error.type]
+  // a websocket close event
+  if (typeof error.code === 'number' && error.code >= 1000 && error.code < 5000) {
+    parts.push(`${error.code}::`)
+  }
+  parts.push(errorText(error.cause, depth + 1), errorText(error.error, depth + 1))
+  return parts.filter((p) => p !== undefined && p !== null && p !== '').join(' ')
+}
+
+/**
+ * @param {*} error - Error, serialized error, close event or message
+ * @returns a class of ERROR_CLASSES, 'unknown' when nothing matches
+ */
+function classifyError(error) {
+  const text = errorText(error)
+  const match = patterns.find(([, pattern]) => pattern.test(text))
+  return match ? match[0] : 'unknown'
+}
+
+/**
+ * The class of a check result
+ * @param {*} result - { status, type, record }, as stored in health_check
+ * @returns a class of ERROR_CLASSES, null for a successful check
+ */
+function classifyCheck({ status, type, record } = {}) {
+  if (!status || status === 'success') return null
+  if (typeof record === 'string') {
+    try {
+      record = JSON.parse(record)
+    } catch (err) {
+      record = {}
+    }
+  }
+  record = record || {}
+  if (type === 'bootnode_check') {
+    const probes = record.probes || []
+    const failed = probes.find((p) => p.error)
+    if (failed) return classifyError(failed.error)
+    if (probes.find((p) => p.peerIdMatch === false)) return 'peer_id_mismatch'
+    if (probes.find((p) => p.blockAnnounces?.genesisMatch === false)) return 'wrong_chain'
+    if (probes.find((p) => p.blockAnnounces && !p.blockAnnounces.negotiated)) {
+      return 'protocol_refused'
+    }
+    return 'unknown'
+  }
+  if (record.reason === 'http_error') {
+    const cause = classifyError(record.http?.error)
+    return cause === 'unknown' || cause === 'ws_upgrade_rejected' ? 'http_error' : cause
+  }
+  if (reasons[record.reason]) return reasons[record.reason]
+  // the connection phases say more than a WsProvider error
+  for (const error of [record.timing?.error, record.error]) {
+    const errorClass = classifyError(error)
+    if (errorClass !== 'unknown') return errorClass
+  }
+  return 'unknown'
+}
+
+export { ERROR_CLASSES, classifyError, classifyCheck }
@@ -1,10 +1,18 @@
 import express from 'express'
+import crypto from 'node:crypto'
 import path from 'path'
 import { fileURLToPath } from 'url'
 // import moment from 'moment'
-import { Op } from 'sequelize'
+import { Op, fn, col } from 'sequelize'
+import { Queue } from 'bullmq'
 
+import { ConsensusEngine } from './consensus-engine.js'
+import { ERROR_CLASSES } from './error-class.js'
+import { Maintenance } from './maintenance.js'
 import { PrometheusExporter } from './prometheus-exporter.js'
+import { QueueMetrics } from './queue-metrics.js'
+import { Scheduler } from './scheduler.js'
+import { SlaEngine } from './sla-engine.js'
 
 import { config } from '../config/config.js'
 import { config as configLocal } from '../config/config.local.js'
@@ -13,6 +21,18 @@ const cfg = Object.assign(config, configLocal)
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+// cfg as published on /api/home, other monitors read it too. A copy without the secrets
+function publicConfig() {
+  const config = JSON.parse(JSON.stringify(cfg))
+  config.sequelize = {}
+  if (config.signing) delete config.signing.suri
+  // tokens and passwords of the notifiers
+  if (config.alerts) delete config.alerts.channels
+  // anyone with it could excuse any member, see lib/maintenance.js
+  if (config.maintenance) delete config.maintenance.operatorToken
+  return config
+}
+
 class HttpHandler {
   app = undefined
   datastore = undefined
@@ -21,8 +41,9 @@ class HttpHandler {
   dateTimeFormat = 'YYYY.MM.DD HH:mm'
   localMonitorId = ''
 
-  constructor({ datastore, app, dateTimeFormat, version }) {
+  constructor({ datastore, app, dateTimeFormat, version, messageHandler }) {
     this._ds = datastore
+    this._mh = messageHandler
     this.version = version
     this.app = app
       ? app
@@ -57,8 +78,7 @@ class HttpHandler {
       let memberCount = await this._ds.Member.count()
       let serviceCount = await this._ds.MemberService.count()
       let checkCount = await this._ds.HealthCheck.count()
-      let config = cfg
-      config.sequelize = {}
+      let config = publicConfig()
       let data = {
         version: this.version,
         localMonitorId: this.localMonitorId,
@@ -115,8 +135,10 @@ class HttpHandler {
     this.app.get('/api/member/:memberId/healthChecks', async (req, res) => {
       let { memberId } = req.params
       console.debug(`app.get(/api/member/${memberId}/healthChecks)`)
+      const where = { memberId }
+      if (req.query.errorClass) where.errorClass = req.query.errorClass
       const healthChecks = await this._ds.HealthCheck.findAll({
-        where: { memberId },
+        where,
         order: [['createdAt', 'DESC']],
         limit: 50,
       })
@@ -134,6 +156,72 @@ class HttpHandler {
       res.json({ nodes })
     })
 
+    // single member bootnodes
+    this.app.get('/api/member/:memberId/bootnodes', async (req, res) => {
+      let { memberId } = req.params
+      console.debug(`app.get(/api/member/${memberId}/bootnodes)`)
+      const bootnodes = await this._ds.MemberServiceBootnode.findAll({
+        where: { memberId },
+        include: [{ association: 'service', include: ['chain'] }],
+        order: [
+          ['serviceId', 'ASC'],
+          ['multiaddress', 'ASC'],
+        ],
+      })
+      res.json({ bootnodes })
+    })
+
+    // single member history, changes to members.json
+    this.app.get('/api/member/:memberId/history', async (req, res) => {
+      let { memberId } = req.params
+      console.debug(`app.get(/api/member/${memberId}/history)`)
+      let offset = Number(req.query.offset) || 0
+      let limit = Number(req.query.limit) || 15
+      let where = { memberId }
+      if (req.query.changeType) where.changeType = req.query.changeType
+      let count = await this._ds.MemberChangeLog.count({ where })
+      let changes = await this._ds.MemberChangeLog.findAll({ where, limit, offset })
+      changes.forEach((change) => {
+        change.oldValue = this._toJson(change.oldValue)
+        change.newValue = this._toJson(change.newValue)
+      })
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        changes,
+        count,
+        limit,
+        offset,
+        pagination: this._pagination(count, offset, limit),
+      }
+      res.json(data)
+    })
+
+    this.app.get('/api/member/:memberId/incidents', async (req, res) => {
+      let { memberId } = req.params
+      console.debug(`app.get(/api/member/${memberId}/incidents)`)
+      let offset = Number(req.query.offset) || 0
+      let limit = Number(req.query.limit) || 15
+      let where = { memberId }
+      if (req.query.status) where.status = req.query.status
+      if (req.query.serviceId) where.serviceId = req.query.serviceId
+      let count = await this._ds.Incident.count({ where })
+      let incidents = await this._ds.Incident.findAll({ where, limit, offset })
+      incidents.forEach((incident) => this._incidentJson(incident))
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        incidents,
+        count,
+        limit,
+        offset,
+        pagination: this._pagination(count, offset, limit),
+      }
+      res.json(data)
+    })
+
     // services
     this.app.get('/api/service', async (req, res) => {
       console.debug('/api/service')
@@ -224,12 +312,19 @@ class HttpHandler {
           limit: 20,
         })
         healthChecks.forEach((check) => (check.record = this._toJson(check.record)))
+        const gossipDecisions = await this._ds.GossipDecision.findAll({
+          where: { monitorId: id },
+          limit: 20,
+        })
         let data = {
           version: this.version,
           localMonitorId: this.localMonitorId,
           dateTimeFormat: this.dateTimeFormat,
           monitor,
+          // would we accept gossip from this monitor?
+          trust: this._mh ? await this._mh.checkMonitor(id) : undefined,
           healthChecks,
+          gossipDecisions,
         }
         res.json(data)
       }
@@ -237,11 +332,21 @@ class HttpHandler {
 
     // health checks
     this.app.get('/api/healthCheck', async (req, res) => {
-      console.debug('/api/healthCheck')
+      console.debug('/api/healthCheck', req.query)
       let offset = Number(req.query.offset) || 0
       let limit = Number(req.query.limit) || 15
-      let count = await this._ds.HealthCheck.count()
-      let models = await this._ds.HealthCheck.findAll({ order: [['id', 'DESC']], limit, offset })
+      let where = {}
+      if (req.query.errorClass) where.errorClass = req.query.errorClass
+      if (req.query.status) where.status = req.query.status
+      if (req.query.memberId) where.memberId = req.query.memberId
+      if (req.query.serviceId) where.serviceId = req.query.serviceId
+      let count = await this._ds.HealthCheck.count({ where })
+      let models = await this._ds.HealthCheck.findAll({
+        where,
+        order: [['id', 'DESC']],
+        limit,
+        offset,
+      })
       models.forEach((model) => {
         model.record = this._toJson(model.record)
       })
@@ -258,6 +363,33 @@ class HttpHandler {
       res.json(data)
     })
 
+    // failed checks per cause, see lib/error-class.js
+    this.app.get('/api/errorClass', async (req, res) => {
+      console.debug('/api/errorClass', req.query)
+      const hours = Math.min(Math.max(Number(req.query.hours) || 24, 1), 24 * 7)
+      let where = {
+        errorClass: { [Op.ne]: null },
+        createdAt: { [Op.gte]: new Date(Date.now() - hours * 60 * 60 * 1000) },
+      }
+      if (req.query.memberId) where.memberId = req.query.memberId
+      if (req.query.serviceId) where.serviceId = req.query.serviceId
+      const rows = await this._ds.HealthCheck.findAll({
+        attributes: ['memberId', 'serviceId', 'errorClass', [fn('COUNT', col('id')), 'count']],
+        where,
+        group: ['memberId', 'serviceId', 'errorClass'],
+        order: [],
+        raw: true,
+      })
+      rows.forEach((row) => (row.count = Number(row.count)))
+      res.json({
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        errorClasses: ERROR_CLASSES,
+        hours,
+        counts: rows,
+      })
+    })
+
     // single health check
     this.app.get('/api/healthCheck/:id', async (req, res) => {
       console.debug('/api/healthCheck/:id', req.params, req.query)
@@ -284,6 +416,78 @@ class HttpHandler {
       }
     })
 
+    // tls certificates of the members, from the latest local check per member and domain
+    this.app.get('/api/certificate', async (req, res) => {
+      console.debug('/api/certificate', req.query)
+      let where = {
+        source: 'check',
+        type: 'service_check',
+        certDaysToExpiry: { [Op.ne]: null },
+        createdAt: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      }
+      if (req.query.memberId) where.memberId = req.query.memberId
+      if (req.query.days) where.certDaysToExpiry = { [Op.lte]: Number(req.query.days) }
+      let latest = await this._ds.HealthCheck.findAll({
+        attributes: [[fn('MAX', col('id')), 'id']],
+        where,
+        group: ['memberId', 'serviceId'],
+        raw: true,
+      })
+      let models = await this._ds.HealthCheck.findAll({
+        where: { id: { [Op.in]: latest.map((l) => l.id) } },
+        order: [
+          ['certDaysToExpiry', 'ASC'],
+          ['memberId', 'ASC'],
+        ],
+      })
+      // all services of a membership level share the domain, and so the certificate
+      let certificates = {}
+      models.forEach((model) => {
+        const { tls } = this._toJson(model.record)
+        if (!tls || certificates[`${model.memberId} ${tls.domain}`]) return
+        certificates[`${model.memberId} ${tls.domain}`] = {
+          memberId: model.memberId,
+          healthCheckId: model.id,
+          checkedAt: model.createdAt,
+          ...tls,
+        }
+      })
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        warningDays: cfg.tlsCheck?.warningDays,
+        certificates: Object.values(certificates),
+      }
+      res.json(data)
+    })
+
+    // gossip that was quarantined or rejected
+    this.app.get('/api/gossipDecision', async (req, res) => {
+      console.debug('/api/gossipDecision')
+      let offset = Number(req.query.offset) || 0
+      let limit = Number(req.query.limit) || 15
+      let where = {}
+      if (req.query.monitorId) where.monitorId = req.query.monitorId
+      if (req.query.decision) where.decision = req.query.decision
+      let count = await this._ds.GossipDecision.count({ where })
+      let models = await this._ds.GossipDecision.findAll({ where, limit, offset })
+      models.forEach((model) => {
+        model.record = this._toJson(model.record)
+      })
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        models,
+        count,
+        limit,
+        offset,
+        pagination: this._pagination(count, offset, limit),
+      }
+      res.json(data)
+    })
+
     // geodns pools
     this.app.get('/api/geoDnsPool', async (req, res) => {
       console.debug('/api/geoDnsPool')
@@ -297,6 +501,46 @@ class HttpHandler {
       res.json(data)
     })
 
+    // check schedules and their next run, see lib/scheduler.js
+    this.app.get('/api/schedule', async (req, res) => {
+      console.debug('/api/schedule', req.query)
+      if (!this._scheduler) {
+        const queues = {}
+        for (const name of ['checkService', 'checkBootnode', 'syncMembers', 'pruneData']) {
+          queues[name] = new Queue(name, { connection: cfg.redis })
+        }
+        this._scheduler = new Scheduler({ datastore: this._ds, queues })
+      }
+      // the jitter offsets derive from our monitorId
+      this._scheduler.monitorId = this.localMonitorId
+      let schedules = await this._scheduler.list()
+      if (req.query.memberId) schedules = schedules.filter((s) => s.memberId === req.query.memberId)
+      if (req.query.serviceId) {
+        schedules = schedules.filter((s) => s.serviceId === req.query.serviceId)
+      }
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        schedules,
+        count: schedules.length,
+      }
+      res.json(data)
+    })
+
+    // BullMQ queues, the api runs apart from workers.js and reads them from redis
+    this.app.get('/api/metrics/queues', async (req, res) => {
+      console.debug('/metrics/queues')
+      if (!this._queueMetrics) {
+        this._queueMetrics = new QueueMetrics({
+          names: ['checkService', 'checkBootnode', 'syncMembers', 'pruneData'],
+          connection: cfg.redis,
+        })
+      }
+      let metrics = await this._queueMetrics.export()
+      res.type('text/plain').send(metrics)
+    })
+
     this.app.get('/api/metrics/:serviceId', async (req, res) => {
       let { serviceId } = req.params
       serviceId = decodeURIComponent(serviceId)
@@ -305,89 +549,207 @@ class HttpHandler {
       res.type('text/plain').send(metrics)
     })
 
+    // consensus per member/service/hour, see StatusHourly in lib/consensus-engine.js
     this.app.get('/api/status', async (req, res) => {
+      console.debug('/api/status', req.query)
+      const maxHours = Math.floor((cfg.pruning?.age || 90 * 24 * 60 * 60) / (60 * 60))
+      const hours = Math.min(Math.max(Number(req.query.hours) || 48, 1), maxHours)
+      const serviceId = req.query.serviceId
+      const where = { type: 'rpc' }
+      if (serviceId) where.id = serviceId
       let services = await this._ds.Service.findAll({
         include: ['chain'],
-        where: { type: 'rpc' },
+        where,
       })
       let members = await this._ds.Member.findAll()
       let status = {}
-      let startDate = new Date(new Date().getTime() - 47 * 60 * 60 * 1000)
-      startDate.setMinutes(0)
-      startDate.setSeconds(0)
-      startDate.setMilliseconds(0)
-      let healthChecks = await this._ds.HealthCheck.findAll({
-        where: {
-          createdAt: {
-            [Op.gte]: startDate,
-          },
-        },
-        order: [['createdAt', 'ASC']],
+      const hourMs = 60 * 60 * 1000
+      const startDate = new Date((Math.floor(Date.now() / hourMs) - hours + 1) * hourMs)
+      const statusWhere = { hour: { [Op.gte]: startDate } }
+      if (serviceId) statusWhere.serviceId = serviceId
+      let rows = await this._ds.StatusHourly.findAll({
+        where: statusWhere,
+        order: [['hour', 'ASC']],
       })
-      for (let healthCheck of healthChecks) {
-        let hour = healthCheck.createdAt
-        hour.setMinutes(0)
-        hour.setSeconds(0)
-        hour.setMilliseconds(0)
-        let hourTimestamp = hour.getTime()
-        let serviceStatus = status[healthCheck.serviceId]
-        if (serviceStatus) {
-          let hourStatus = serviceStatus[hourTimestamp]
-          if (hourStatus) {
-            let memberStatus = hourStatus[healthCheck.memberId]
-            if (!memberStatus) {
-              status[healthCheck.serviceId][hourTimestamp][healthCheck.memberId] = {
-                success: 0,
-                warning: 0,
-                error: 0,
-              }
-            }
-          } else {
-            status[healthCheck.serviceId][hourTimestamp] = {}
-            status[healthCheck.serviceId][hourTimestamp][healthCheck.memberId] = {
-              success: 0,
-              warning: 0,
-              error: 0,
-            }
-          }
-        } else {
-          status[healthCheck.serviceId] = {}
-          status[healthCheck.serviceId][hourTimestamp] = {}
-          status[healthCheck.serviceId][hourTimestamp][healthCheck.memberId] = {
-            success: 0,
-            warning: 0,
-            error: 0,
-          }
+      for (let row of rows) {
+        const hourTimestamp = new Date(row.hour).getTime()
+        status[row.serviceId] = status[row.serviceId] || {}
+        status[row.serviceId][hourTimestamp] = status[row.serviceId][hourTimestamp] || {}
+        // count windows, not checks
+        const value = {
+          success: row.successCount,
+          warning: row.warningCount,
+          error: row.errorCount,
+          maintenance: row.maintenanceCount,
+          monitors: row.monitorCount,
         }
-        let value = status[healthCheck.serviceId][hourTimestamp][healthCheck.memberId]
-        switch (healthCheck.status) {
-          case 'success':
-            value.success = value.success + 1
-            break
-          case 'warning':
-            value.warning = value.warning + 1
-            break
-          case 'error':
-            value.error = value.error + 1
-            break
-        }
-        let successPercent = (value.success * 100) / (value.success + value.warning + value.error)
-        if (successPercent >= 90) {
+        const successPercent = (value.success * 100) / (value.success + value.warning + value.error)
+        // maintenance windows do not count, an hour of only those is drawn as maintenance
+        if (value.success + value.warning + value.error === 0) {
+          value.status = 'maintenance'
+        } else if (successPercent >= 90) {
           value.status = 'success'
         } else if (successPercent >= 75) {
           value.status = 'warning'
         } else {
           value.status = 'error'
         }
-        status[healthCheck.serviceId][hourTimestamp][healthCheck.memberId] = value
+        status[row.serviceId][hourTimestamp][row.memberId] = value
       }
       res.json({
+        hours,
         services,
         members,
         status,
       })
     })
 
+    // maintenance windows, see lib/maintenance.js
+    this.app.get('/api/maintenance', async (req, res) => {
+      console.debug('/api/maintenance', req.query)
+      let offset = Number(req.query.offset) || 0
+      let limit = Number(req.query.limit) || 15
+      let where = {}
+      if (req.query.memberId) where.memberId = req.query.memberId
+      if (req.query.source) where.source = req.query.source
+      // windows that have not ended
+      if (req.query.current) where.endsAt = { [Op.gt]: new Date() }
+      let count = await this._ds.MaintenanceWindow.count({ where })
+      let models = await this._ds.MaintenanceWindow.findAll({
+        attributes: { exclude: ['envelope'] },
+        where,
+        limit,
+        offset,
+      })
+      models.forEach((model) => {
+        model.serviceIds = this._toJson(model.serviceIds)
+      })
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        models,
+        count,
+        limit,
+        offset,
+        pagination: this._pagination(count, offset, limit),
+      }
+      res.json(data)
+    })
+
+    // a member announces a window with a signed envelope { type: 'maintenanceWindow', signerId,
+    // payload, signature }, the operator posts { memberId, serviceIds, startsAt, endsAt, reason }
+    // with `Authorization: Bearer <cfg.maintenance.operatorToken>`
+    this.app.post('/api/maintenance', express.json(), async (req, res) => {
+      console.debug('/api/maintenance', req.body)
+      const maintenance = new Maintenance({ datastore: this._ds })
+      const body = req.body || {}
+      var result
+      if (body.signature) {
+        result = await maintenance.announce(body)
+      } else if (this._isOperator(req)) {
+        result = await maintenance.create(body, { source: 'operator' })
+        // an operator can excuse the past, the verdicts since then change
+        if (result.window && new Date(result.window.startsAt) < new Date()) {
+          const ce = new ConsensusEngine({ datastore: this._ds })
+          await ce.recompute(result.window.startsAt, result.window.endsAt)
+        }
+      } else {
+        res.status(401).json({ error: 'a signed announcement or the operator token is required' })
+        return
+      }
+      if (result.error) {
+        res.status(400).json({ error: result.error })
+        return
+      }
+      res.status(result.created ? 201 : 200).json({
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        model: result.window,
+      })
+    })
+
+    // outages by consensus, see lib/incident-tracker.js
+    this.app.get('/api/incident', async (req, res) => {
+      console.debug('/api/incident', req.query)
+      let offset = Number(req.query.offset) || 0
+      let limit = Number(req.query.limit) || 15
+      let where = {}
+      if (req.query.status) where.status = req.query.status
+      if (req.query.memberId) where.memberId = req.query.memberId
+      if (req.query.serviceId) where.serviceId = req.query.serviceId
+      let count = await this._ds.Incident.count({ where })
+      let incidents = await this._ds.Incident.findAll({ where, limit, offset })
+      incidents.forEach((incident) => this._incidentJson(incident))
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        incidents,
+        count,
+        limit,
+        offset,
+        pagination: this._pagination(count, offset, limit),
+      }
+      res.json(data)
+    })
+
+    // alerts, see lib/alert-engine.js
+    this.app.get('/api/alert', async (req, res) => {
+      console.debug('/api/alert', req.query)
+      let offset = Number(req.query.offset) || 0
+      let limit = Number(req.query.limit) || 15
+      let where = {}
+      if (req.query.status) where.status = req.query.status
+      if (req.query.rule) where.rule = req.query.rule
+      if (req.query.memberId) where.memberId = req.query.memberId
+      if (req.query.serviceId) where.serviceId = req.query.serviceId
+      let count = await this._ds.Alert.count({ where })
+      let models = await this._ds.Alert.findAll({ where, limit, offset })
+      models.forEach((model) => {
+        model.details = this._toJson(model.details)
+      })
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        dateTimeFormat: this.dateTimeFormat,
+        models,
+        count,
+        limit,
+        offset,
+        pagination: this._pagination(count, offset, limit),
+      }
+      res.json(data)
+    })
+
+    // monthly SLA per member/service, see lib/sla-engine.js
+    // ?format=csv or ?format=json downloads the report as a file
+    this.app.get('/api/sla', async (req, res) => {
+      console.debug('/api/sla', req.query)
+      const sla = new SlaEngine({ datastore: this._ds })
+      const month = req.query.month || new Date().toISOString().slice(0, 7)
+      if (!sla.monthRange(month)) {
+        res.status(400).json({ error: `Invalid month: ${month}, expected YYYY-MM` })
+        return
+      }
+      let rows = await sla.report(month)
+      if (req.query.memberId) rows = rows.filter((r) => r.memberId === req.query.memberId)
+      if (req.query.format === 'csv') {
+        res.attachment(`sla-${month}.csv`).type('text/csv').send(sla.toCsv(rows))
+        return
+      }
+      if (req.query.format === 'json') res.attachment(`sla-${month}.json`)
+      let data = {
+        version: this.version,
+        localMonitorId: this.localMonitorId,
+        month,
+        targets: cfg.sla,
+        sla: rows,
+        count: rows.length,
+      }
+      res.json(data)
+    })
+
     // this.app.get('/sign', async (req, res) => {
     //   let tpl = this._getTemplate('signature')
     //   let data = {
@@ -407,6 +769,26 @@ class HttpHandler {
     this.app.listen(port, cb)
   }
 
+  // bearer token of the operator, see cfg.maintenance.operatorToken
+  _isOperator(req) {
+    const token = cfg.maintenance?.operatorToken
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '')
+    if (!token || !match) return false
+    const expected = Buffer.from(token)
+    const given = Buffer.from(match[1])
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  }
+
+  // json columns of an incident, and how long an open incident has been going
+  _incidentJson(incident) {
+    incident.monitorIds = this._toJson(incident.monitorIds) || []
+    incident.healthCheckIds = this._toJson(incident.healthCheckIds) || []
+    if (incident.status === 'open') {
+      incident.durationSeconds = Math.round((Date.now() - new Date(incident.startedAt)) / 1000)
+    }
+    return incident
+  }
+
   _toJson(record) {
     var ret = record
     // console.debug('record is type', typeof record)
@@ -0,0 +1,84 @@
+import https from 'node:https'
+
+/**
+ * JSON-RPC over HTTPS, with the timing of each phase.
+ * @param {string} url - https://domain/chainId
+ * @param {*} options - { method, timeout, lookup }, see lib/pinned-lookup.js for `lookup`
+ * @returns { url, ok, statusCode, tcpMs, tlsMs, rpcMs, totalMs, error }
+ */
+function checkHttpRpc(url, { method = 'system_health', timeout = 10 * 1000, lookup } = {}) {
+  const body = JSON.stringify({ id: 1, jsonrpc: '2.0', method, params: [] })
+  const result = { url, method, ok: false, statusCode: null, tcpMs: null, tlsMs: null, rpcMs: null }
+  const start = performance.now()
+  var connected, secured, finished
+  return new Promise((resolve) => {
+    const done = (error) => {
+      if (finished) return
+      finished = true
+      result.totalMs = performance.now() - start
+      if (error) result.error = error.message || error
+      resolve(result)
+    }
+    const req = https.request(
+      url,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        timeout,
+        lookup,
+        // a fresh connection, so the handshake is measured every time
+        agent: false,
+      },
+      (res) => {
+        result.statusCode = res.statusCode
+        let data = ''
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => (data += chunk))
+        res.on('error', done)
+        res.on('end', () => {
+          result.rpcMs = performance.now() - (secured || connected || start)
+          if (res.statusCode !== 200) return done(`HTTP ${res.statusCode}`)
+          try {
+            const json = JSON.parse(data)
+            if (json.error) return done(`RPC ${json.error.code}: ${json.error.message}`)
+            result.ok = true
+            done()
+          } catch (err) {
+            done(`Invalid JSON-RPC response: ${err.message}`)
+          }
+        })
+      }
+    )
+    req.on('socket', (socket) => {
+      socket.on('connect', () => {
+        connected = performance.now()
+        result.tcpMs = connected - start
+      })
+      socket.on('secureConnect', () => {
+        secured = performance.now()
+        result.tlsMs = secured - connected
+      })
+    })
+    req.on('timeout', () => req.destroy(new Error('Timeout')))
+    req.on('error', done)
+    req.end(body)
+  })
+}
+
+/**
+ * Add the https result to the result of the wss check: a failure gives `severity`, with reason
+ * `http_error`, unless the wss check already failed
+ * @param {*} result - { status, record } of the wss check, updated
+ * @param {*} http - see checkHttpRpc()
+ * @param {string} severity - 'warning' | 'error'
+ */
+function applyHttpCheck(result, http, severity = 'warning') {
+  result.record.http = http
+  if (!http.ok && result.status !== 'error' && result.status !== severity) {
+    result.status = severity
+    result.record.reason = 'http_error'
+  }
+  return result
+}
+
+export { checkHttpRpc, applyHttpCheck }
@@ -0,0 +1,163 @@
+import { Op } from 'sequelize'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+// failed checks kept as examples per incident
+const EXAMPLES = 5
+
+/**
+ * Incidents per member/service, from the consensus verdicts: an incident opens on the first
+ * `error` window after a healthy one and closes on the next window that is not `error`.
+ * Only completed windows count, the verdict of the current window can still change.
+ * Runs after ConsensusEngine.update() over the same lookback, windows seen before are skipped.
+ * Maintenance windows neither open nor close an incident.
+ */
+class IncidentTracker {
+  datastore = undefined
+  window = 15 * 60 // as seconds
+  lookback = 3
+
+  constructor({ datastore }) {
+    this.datastore = datastore
+    this.window = cfg.consensus?.window || this.window
+    this.lookback = cfg.consensus?.lookback ?? this.lookback
+  }
+
+  _json(value) {
+    if (typeof value !== 'string') return value
+    try {
+      return JSON.parse(value)
+    } catch (err) {
+      return null
+    }
+  }
+
+  // the error of a check: the exception, the reason of the check or a failed bootnode probe
+  errorMessage(record = {}) {
+    record = this._json(record) || {}
+    return (
+      record.error?.message || record.reason || record.probes?.find((p) => p.error)?.error || null
+    )
+  }
+
+  /**
+   * The failed checks of a window
+   * @returns { monitorIds, healthCheckIds, errorMessage }
+   */
+  async _evidence(verdict) {
+    const healthChecks = await this.datastore.HealthCheck.findAll({
+      attributes: ['id', 'monitorId', 'record'],
+      where: {
+        memberId: verdict.memberId,
+        serviceId: verdict.serviceId,
+        status: 'error',
+        createdAt: { [Op.gte]: verdict.windowStart, [Op.lt]: verdict.windowEnd },
+      },
+      order: [['id', 'ASC']],
+    })
+    return {
+      monitorIds: [...new Set(healthChecks.map((hc) => hc.monitorId))],
+      healthCheckIds: healthChecks.slice(0, EXAMPLES).map((hc) => hc.id),
+      errorMessage: healthChecks.map((hc) => this.errorMessage(hc.record)).find((m) => m) || null,
+    }
+  }
+
+  async _open(verdict) {
+    const evidence = await this._evidence(verdict)
+    return this.datastore.Incident.create({
+      memberId: verdict.memberId,
+      serviceId: verdict.serviceId,
+      status: 'open',
+      startedAt: verdict.windowStart,
+      lastWindowStart: verdict.windowStart,
+      ...evidence,
+      errorMessage: evidence.errorMessage?.slice(0, 255) || null,
+    })
+  }
+
+  async _extend(incident, verdict) {
+    const evidence = await this._evidence(verdict)
+    const monitorIds = this._json(incident.monitorIds) || []
+    const healthCheckIds = this._json(incident.healthCheckIds) || []
+    await incident.update({
+      lastWindowStart: verdict.windowStart,
+      monitorIds: [...new Set([...monitorIds, ...evidence.monitorIds])],
+      healthCheckIds: [...new Set([...healthCheckIds, ...evidence.healthCheckIds])].slice(
+        0,
+        EXAMPLES
+      ),
+      errorMessage: incident.errorMessage || evidence.errorMessage?.slice(0, 255) || null,
+    })
+  }
+
+  async _close(incident, verdict) {
+    const endedAt = new Date(verdict.windowStart)
+    await incident.update({
+      status: 'closed',
+      endedAt,
+      durationSeconds: Math.round((endedAt - new Date(incident.startedAt)) / 1000),
+    })
+  }
+
+  /**
+   * Open, extend or close the incident of one member/service
+   * @param {*} verdicts - Consensus, oldest first
+   */
+  async track(memberId, serviceId, verdicts) {
+    var incident = await this.datastore.Incident.findOne({
+      where: { memberId, serviceId },
+      order: [['startedAt', 'DESC']],
+    })
+    var changes = 0
+    for (let verdict of verdicts) {
+      if (verdict.status === 'maintenance') continue
+      const windowStart = new Date(verdict.windowStart)
+      const failing = verdict.status === 'error'
+      if (incident?.status === 'open') {
+        if (windowStart <= new Date(incident.lastWindowStart)) continue
+        if (failing) await this._extend(incident, verdict)
+        else await this._close(incident, verdict)
+        changes++
+      } else if (failing) {
+        // part of an incident we already closed
+        if (incident && windowStart < new Date(incident.endedAt)) continue
+        incident = await this._open(verdict)
+        changes++
+      }
+    }
+    return changes
+  }
+
+  /**
+   * Track the completed windows of the lookback
+   */
+  async update() {
+    const windowMs = this.window * 1000
+    const current = Math.floor(Date.now() / windowMs) * windowMs
+    const verdicts = await this.datastore.Consensus.findAll({
+      where: {
+        windowStart: {
+          [Op.gte]: new Date(current - (this.lookback + 1) * windowMs),
+          [Op.lt]: new Date(current),
+        },
+      },
+      order: [['windowStart', 'ASC']],
+    })
+    const grouped = {}
+    for (let verdict of verdicts) {
+      const key = `${verdict.memberId}|${verdict.serviceId}`
+      grouped[key] = grouped[key] || []
+      grouped[key].push(verdict)
+    }
+    var changes = 0
+    for (let [key, list] of Object.entries(grouped)) {
+      const [memberId, serviceId] = key.split('|')
+      changes += await this.track(memberId, serviceId, list)
+    }
+    console.debug('IncidentTracker.update()', Object.keys(grouped).length, changes)
+  }
+}
+
+export { IncidentTracker }
@@ -0,0 +1,252 @@
+import { Op } from 'sequelize'
+
+import { verifyEnvelope } from './signed-message.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+/**
+ * Maintenance windows: { memberId, serviceIds, startsAt, endsAt, reason }, no serviceIds is all
+ * services of the member.
+ * - a member announces a window signed with their key, an envelope of type `maintenanceWindow`
+ *   (see lib/signed-message.js), on POST /api/maintenance or /ibp/signedMessage. The monitor of
+ *   the member relays its windows on /ibp/signedMessage until they end.
+ * - the operator of a monitor creates a window on POST /api/maintenance with
+ *   cfg.maintenance.operatorToken, these are not relayed.
+ *
+ * Checks during a window are tagged `maintenance` before the consensus is computed, see
+ * lib/consensus-engine.js. Tagged checks do not count for the verdict, the SLA, alerts and
+ * incidents. A member can not excuse the past: only checks after we received the announcement
+ * are tagged, an operator window tags all checks in it.
+ * A member announces at least cfg.maintenance.minNotice ahead, and all its windows within
+ * budgetPeriod before or after a new one add up to at most `budget`. Windows of a member that
+ * cover the same service can not overlap.
+ */
+class Maintenance {
+  datastore = undefined
+  maxDuration = 24 * 60 * 60 // as seconds
+  minNotice = 60 * 60 // as seconds
+  budget = 48 * 60 * 60 // as seconds
+  budgetPeriod = 30 * 24 * 60 * 60 // as seconds
+
+  constructor({ datastore }) {
+    this.datastore = datastore
+    this.maxDuration = cfg.maintenance?.maxDuration || this.maxDuration
+    this.minNotice = cfg.maintenance?.minNotice ?? this.minNotice
+    this.budget = cfg.maintenance?.budget || this.budget
+    this.budgetPeriod = cfg.maintenance?.budgetPeriod || this.budgetPeriod
+  }
+
+  _json(value) {
+    if (typeof value !== 'string') return value
+    try {
+      return JSON.parse(value)
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * @param {*} data - { memberId, serviceIds, startsAt, endsAt, reason }
+   * @returns an error message, or null for a valid window
+   */
+  validate({ memberId, serviceIds, startsAt, endsAt, reason } = {}) {
+    if (!memberId || typeof memberId !== 'string') return 'memberId is required'
+    if (
+      serviceIds !== undefined &&
+      serviceIds !== null &&
+      (!Array.isArray(serviceIds) || serviceIds.some((s) => typeof s !== 'string'))
+    ) {
+      return 'serviceIds must be a list of serviceIds'
+    }
+    const start = new Date(startsAt)
+    const end = new Date(endsAt)
+    if (!startsAt || !endsAt || isNaN(start) || isNaN(end)) {
+      return 'startsAt and endsAt must be dates'
+    }
+    if (end <= start) return 'endsAt must be after startsAt'
+    if ((end - start) / 1000 > this.maxDuration) {
+      return `a window can not be longer than ${this.maxDuration} seconds`
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return 'reason must be a string'
+    }
+    return null
+  }
+
+  // windows of the same member that cover a service of both
+  _sameServices(a, b) {
+    const serviceIds = this._json(a.serviceIds)
+    const others = this._json(b.serviceIds)
+    return !serviceIds?.length || !others?.length || serviceIds.some((s) => others.includes(s))
+  }
+
+  /**
+   * Check a new window against the notice, the budget and the windows of the member
+   * @param {*} data - { memberId, serviceIds, startsAt, endsAt }, valid, see validate()
+   * @param {string} source - 'member' | 'operator', an operator is held to no notice or budget
+   * @returns an error message, or null
+   */
+  async conflicts(data, source, now = new Date()) {
+    const start = new Date(data.startsAt).getTime()
+    const end = new Date(data.endsAt).getTime()
+    if (source === 'member' && start - now.getTime() < this.minNotice * 1000) {
+      return `a window must be announced at least ${this.minNotice} seconds ahead`
+    }
+    const period = this.budgetPeriod * 1000
+    // the windows of the member within the budget period
+    const windows = await this.datastore.MaintenanceWindow.findAll({
+      where: {
+        memberId: data.memberId,
+        startsAt: { [Op.lt]: new Date(end + period) },
+        endsAt: { [Op.gt]: new Date(start - period) },
+      },
+      order: [],
+    })
+    const overlap = windows.find(
+      (w) =>
+        new Date(w.startsAt).getTime() < end &&
+        new Date(w.endsAt).getTime() > start &&
+        this._sameServices(w, data)
+    )
+    if (overlap) return `overlaps window ${overlap.id}`
+    if (source === 'member') {
+      const used = windows
+        .filter((w) => w.source === 'member')
+        .reduce((sum, w) => sum + (new Date(w.endsAt) - new Date(w.startsAt)), 0)
+      if ((used + end - start) / 1000 > this.budget) {
+        return `over the budget of ${this.budget} seconds within ${this.budgetPeriod} seconds`
+      }
+    }
+    return null
+  }
+
+  /**
+   * Store a window and tag the checks we already have for it
+   * @param {*} data - { memberId, serviceIds, startsAt, endsAt, reason }
+   * @param {*} options - { source: 'member' | 'operator', envelope: the signed announcement }
+   * @returns { window, created } or { error }
+   */
+  async create(data, { source = 'operator', envelope = null } = {}) {
+    const error = this.validate(data)
+    if (error) return { error }
+    const { memberId, serviceIds, startsAt, endsAt, reason } = data
+    if (!(await this.datastore.Member.findByPk(memberId))) {
+      return { error: `unknown member: ${memberId}` }
+    }
+    if (envelope) {
+      // relayed again
+      const window = await this.datastore.MaintenanceWindow.findOne({
+        where: { signature: envelope.signature },
+      })
+      if (window) return { window, created: false }
+    }
+    const conflict = await this.conflicts(data, source)
+    if (conflict) return { error: conflict }
+    const window = await this.datastore.MaintenanceWindow.create({
+      memberId,
+      serviceIds: serviceIds?.length ? serviceIds : null,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      reason: reason?.slice(0, 255) || null,
+      source,
+      signature: envelope?.signature || null,
+      envelope,
+    })
+    const tagged = await this.tag(window.startsAt, window.endsAt)
+    console.log('Maintenance window', window.id, source, memberId, startsAt, endsAt, tagged)
+    return { window, created: true }
+  }
+
+  /**
+   * A window announced by a member, signed with their key
+   * @param {*} envelope - { type: 'maintenanceWindow', signerId, payload, signature }
+   * @param {string} signatureStatus - when the caller has verified the envelope already
+   * @returns see create()
+   */
+  async announce(envelope = {}, signatureStatus = undefined) {
+    if (envelope.type !== 'maintenanceWindow') {
+      return { error: `expected a maintenanceWindow, not ${envelope.type}` }
+    }
+    if (!signatureStatus) {
+      const signer = await this.datastore.Member.findByPk(envelope.signerId || '')
+      signatureStatus = await verifyEnvelope(envelope, signer?.publicKey)
+    }
+    if (signatureStatus !== 'valid') return { error: `signature: ${signatureStatus}` }
+    const data = this._json(envelope.payload)
+    if (!data || typeof data !== 'object') return { error: 'payload is not a window' }
+    // a member announces its own maintenance
+    if (data.memberId !== envelope.signerId) {
+      return { error: `${envelope.signerId} can not announce a window for ${data.memberId}` }
+    }
+    const { type, signerId, payload, signature } = envelope
+    return this.create(data, { source: 'member', envelope: { type, signerId, payload, signature } })
+  }
+
+  /**
+   * Windows that overlap from..to
+   * @param {Date} from
+   * @param {Date} to
+   */
+  async windows(from, to = from) {
+    return this.datastore.MaintenanceWindow.findAll({
+      where: { startsAt: { [Op.lte]: to }, endsAt: { [Op.gt]: from } },
+      order: [],
+    })
+  }
+
+  // a window of the member/service at the time
+  covers(window, memberId, serviceId, at = new Date()) {
+    const serviceIds = this._json(window.serviceIds)
+    return (
+      window.memberId === memberId &&
+      (!serviceIds || serviceIds.includes(serviceId)) &&
+      new Date(window.startsAt) <= at &&
+      new Date(window.endsAt) > at
+    )
+  }
+
+  /**
+   * Tag the checks between from and to that fall in a window
+   * @param {Date} from
+   * @param {Date} to
+   * @returns the number of checks tagged
+   */
+  async tag(from, to) {
+    var count = 0
+    for (const window of await this.windows(from, to)) {
+      // a member window counts from when we received it
+      const starts = Math.max(
+        new Date(from).getTime(),
+        new Date(window.startsAt).getTime(),
+        window.source === 'member' ? new Date(window.createdAt).getTime() : 0
+      )
+      const ends = Math.min(new Date(to).getTime(), new Date(window.endsAt).getTime())
+      if (starts >= ends) continue
+      const where = {
+        memberId: window.memberId,
+        maintenance: false,
+        createdAt: { [Op.gte]: new Date(starts), [Op.lt]: new Date(ends) },
+      }
+      const serviceIds = this._json(window.serviceIds)
+      if (serviceIds) where.serviceId = { [Op.in]: serviceIds }
+      const [affected] = await this.datastore.HealthCheck.update({ maintenance: true }, { where })
+      count += affected
+    }
+    return count
+  }
+
+  /**
+   * Signed announcements of a member that have not ended, to relay on /ibp/signedMessage
+   * @param {string} memberId
+   */
+  async announcements(memberId) {
+    const windows = await this.datastore.MaintenanceWindow.findAll({
+      where: { memberId, source: 'member', endsAt: { [Op.gt]: new Date() } },
+    })
+    return windows.map((window) => this._json(window.envelope)).filter((envelope) => envelope)
+  }
+}
+
+export { Maintenance }
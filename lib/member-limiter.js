@@ -0,0 +1,49 @@
+import { DelayedError } from 'bullmq'
+
+/**
+ * Cap the checks in flight per member, within a worker process.
+ * A job over the cap goes back to the delayed set and is picked up again after `delay`,
+ * without using one of its attempts.
+ */
+class MemberLimiter {
+  max = 0
+  delay = 5 * 1000
+  _inFlight = {}
+
+  /**
+   * @param {*} options - { max: checks per member, 0 for no limit, delay: millis }
+   */
+  constructor({ max = 0, delay = 5 * 1000 } = {}) {
+    this.max = max
+    this.delay = delay
+  }
+
+  inFlight(memberId) {
+    return this._inFlight[memberId] || 0
+  }
+
+  /**
+   * Wrap a BullMQ processor, job.data.memberId is the member
+   * @param {*} processor - async (job, token) => result
+   */
+  wrap(processor) {
+    return async (job, token) => {
+      const { memberId } = job.data
+      if (!this.max || !memberId) return processor(job, token)
+      if (this.inFlight(memberId) >= this.max) {
+        job.log(`${this.inFlight(memberId)} checks in flight for ${memberId}, delaying`)
+        await job.moveToDelayed(Date.now() + this.delay, token)
+        throw new DelayedError()
+      }
+      this._inFlight[memberId] = this.inFlight(memberId) + 1
+      try {
+        return await processor(job, token)
+      } finally {
+        this._inFlight[memberId]--
+        if (this._inFlight[memberId] === 0) delete this._inFlight[memberId]
+      }
+    }
+  }
+}
+
+export { MemberLimiter }
@@ -0,0 +1,346 @@
+import fs from 'fs'
+import axios from 'axios'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+// member fields with their own change type, everything else is a 'profile' change
+const FIELD_CHANGE_TYPES = {
+  membershipLevelId: 'level',
+  status: 'status',
+  serviceIpAddress: 'ip_address',
+}
+const MEMBER_FIELDS = [
+  'name',
+  'websiteUrl',
+  'logoUrl',
+  'membershipType',
+  'membershipLevelId',
+  'membershipLevelTimestamp',
+  'status',
+  'serviceIpAddress',
+  'monitorUrl',
+  'publicKey',
+  'region',
+  'latitude',
+  'longitude',
+]
+
+/**
+ * Fetch members.json
+ * @param {string} url - http(s):// or file:// for offline use
+ */
+async function fetchMembers(url = cfg.members.url) {
+  if (url.startsWith('file://')) {
+    return JSON.parse(await fs.promises.readFile(new URL(url), 'utf-8'))
+  }
+  const res = await axios.get(url, { timeout: 30 * 1000 })
+  return res.data
+}
+
+function sameValue(field, a, b) {
+  // FLOAT columns do not round trip exactly
+  if (field === 'latitude' || field === 'longitude') {
+    return Math.abs(Number(a) - Number(b)) < 0.0001
+  }
+  return (a ?? null) === (b ?? null)
+}
+
+/**
+ * Keep the member tables in line with members.json of the IBP config repo.
+ * Every difference is applied and recorded in member_change_log.
+ */
+class MemberRegistry {
+  datastore = undefined
+
+  constructor({ datastore }) {
+    this.datastore = datastore
+  }
+
+  /**
+   * The state members.json asks for
+   * @param {*} json - members.json
+   * @returns { [memberId]: { record, endpoints: { [serviceId]: url }, bootnodes: { [serviceId]: [multiaddr] } } }
+   */
+  async _desired(json) {
+    const services = await this.datastore.Service.findAll()
+    const findService = (chainId, type) =>
+      services.find((s) => s.chainId === chainId && s.type === type)
+    const desired = {}
+    for (const [memberId, data] of Object.entries(json?.members || {})) {
+      const {
+        name,
+        website,
+        logo,
+        membership,
+        current_level,
+        active,
+        level_timestamp,
+        services_address,
+        monitor_url,
+        public_key,
+        region,
+        latitude,
+        longitude,
+      } = data
+      // level 0 members are not (or no longer) part of the IBP
+      if (current_level == 0) {
+        continue
+      }
+      const record = {
+        id: memberId,
+        name,
+        websiteUrl: website,
+        logoUrl: logo,
+        membershipType: membership,
+        membershipLevelId: Number(current_level),
+        membershipLevelTimestamp: Number(level_timestamp?.[current_level]),
+        status: Number(active) == 1 ? 'active' : 'pending',
+        serviceIpAddress: services_address,
+        monitorUrl: monitor_url,
+        publicKey: public_key || null,
+        region,
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+      }
+      const endpoints = {}
+      for (const [chainId, serviceUrl] of Object.entries(data.endpoints || {})) {
+        const service = findService(chainId, 'rpc')
+        if (!service) {
+          console.warn('MemberRegistry: no rpc service for chain', chainId, memberId)
+          continue
+        }
+        endpoints[service.id] = serviceUrl
+      }
+      const bootnodes = {}
+      for (const [chainId, addresses] of Object.entries(data.bootnodes || {})) {
+        const service = findService(chainId, 'bootnode')
+        if (!service) {
+          console.warn('MemberRegistry: no bootnode service for chain', chainId, memberId)
+          continue
+        }
+        bootnodes[service.id] = [].concat(addresses).filter((a) => a)
+      }
+      desired[memberId] = { record, endpoints, bootnodes }
+    }
+    return desired
+  }
+
+  /**
+   * Compare the desired state with the datastore
+   * @param {*} desired - see _desired()
+   * @returns [{ memberId, serviceId, changeType, field, oldValue, newValue }]
+   */
+  async diff(desired) {
+    const ds = this.datastore
+    const changes = []
+    const members = await ds.Member.findAll()
+    const memberServices = await ds.MemberService.findAll()
+    const rpcServices = await ds.Service.findAll({ where: { type: 'rpc' } })
+    const bootnodes = await ds.MemberServiceBootnode.findAll()
+
+    for (const member of members) {
+      if (!desired[member.id] && member.status === 'active') {
+        changes.push({
+          memberId: member.id,
+          changeType: 'member_removed',
+          field: 'status',
+          oldValue: member.status,
+          newValue: 'pending',
+        })
+      }
+    }
+    for (const [memberId, { record, endpoints, bootnodes: addresses }] of Object.entries(desired)) {
+      const member = members.find((m) => m.id === memberId)
+      if (!member) {
+        changes.push({ memberId, changeType: 'member_added', newValue: record })
+      } else {
+        for (const field of MEMBER_FIELDS) {
+          if (sameValue(field, member[field], record[field])) continue
+          changes.push({
+            memberId,
+            changeType: FIELD_CHANGE_TYPES[field] || 'profile',
+            field,
+            oldValue: member[field],
+            newValue: record[field],
+          })
+        }
+      }
+
+      // rpc endpoints
+      const current = memberServices.filter(
+        (ms) => ms.memberId === memberId && rpcServices.find((s) => s.id === ms.serviceId)
+      )
+      for (const [serviceId, serviceUrl] of Object.entries(endpoints)) {
+        const memberService = current.find((ms) => ms.serviceId === serviceId)
+        if (!memberService || memberService.status !== 'active') {
+          changes.push({ memberId, serviceId, changeType: 'endpoint_added', newValue: serviceUrl })
+        } else if (memberService.serviceUrl !== serviceUrl) {
+          changes.push({
+            memberId,
+            serviceId,
+            changeType: 'endpoint_changed',
+            field: 'serviceUrl',
+            oldValue: memberService.serviceUrl,
+            newValue: serviceUrl,
+          })
+        }
+      }
+      for (const memberService of current) {
+        if (memberService.status === 'active' && !endpoints[memberService.serviceId]) {
+          changes.push({
+            memberId,
+            serviceId: memberService.serviceId,
+            changeType: 'endpoint_removed',
+            oldValue: memberService.serviceUrl,
+          })
+        }
+      }
+
+      // bootnodes
+      const currentBootnodes = bootnodes.filter((b) => b.memberId === memberId)
+      for (const [serviceId, multiaddrs] of Object.entries(addresses)) {
+        for (const multiaddress of multiaddrs) {
+          if (
+            currentBootnodes.find(
+              (b) => b.serviceId === serviceId && b.multiaddress === multiaddress
+            )
+          )
+            continue
+          changes.push({
+            memberId,
+            serviceId,
+            changeType: 'bootnode_added',
+            newValue: multiaddress,
+          })
+        }
+      }
+      for (const bootnode of currentBootnodes) {
+        if ((addresses[bootnode.serviceId] || []).includes(bootnode.multiaddress)) continue
+        changes.push({
+          memberId,
+          serviceId: bootnode.serviceId,
+          changeType: 'bootnode_removed',
+          oldValue: bootnode.multiaddress,
+        })
+      }
+    }
+    return changes
+  }
+
+  /**
+   * Apply the changes of one member
+   * @param {string} memberId
+   * @param {*} desired - desired state of the member, undefined when removed
+   * @param {*} changes - the changes of this member
+   */
+  async _apply(memberId, desired, changes) {
+    const ds = this.datastore
+    if (!desired) {
+      // the member can not be deleted, health checks reference it
+      await ds.Member.update({ status: 'pending' }, { where: { id: memberId } })
+      return
+    }
+    if (changes.find((c) => !c.serviceId)) {
+      await ds.Member.upsert(desired.record)
+    }
+    for (const change of changes) {
+      switch (change.changeType) {
+        case 'endpoint_added':
+        case 'endpoint_changed':
+          await ds.MemberService.upsert({
+            memberId,
+            serviceId: change.serviceId,
+            serviceUrl: change.newValue,
+            status: 'active',
+          })
+          break
+        case 'endpoint_removed':
+          await ds.MemberService.update(
+            { status: 'inactive' },
+            { where: { memberId, serviceId: change.serviceId } }
+          )
+          break
+      }
+    }
+    if (changes.find((c) => c.changeType.startsWith('bootnode_'))) {
+      // updateMemberBootnodes() works on chainIds, a chain without addresses removes them all
+      const bootnodes = {}
+      const serviceIds = new Set([
+        ...Object.keys(desired.bootnodes),
+        ...changes.filter((c) => c.changeType === 'bootnode_removed').map((c) => c.serviceId),
+      ])
+      for (const serviceId of serviceIds) {
+        const service = await ds.Service.findByPk(serviceId)
+        bootnodes[service.chainId] = desired.bootnodes[serviceId] || []
+      }
+      await ds.updateMemberBootnodes(memberId, bootnodes)
+    }
+  }
+
+  /**
+   * Link the monitor at a member's `monitor_url` to the member, its gossip is trusted, see
+   * lib/message-handler.js. The monitor api publishes its peerId as `localMonitorId`
+   * @param {string} memberId
+   * @param {string} monitorUrl
+   * @returns the monitorId, undefined when the monitor did not answer
+   */
+  async linkMonitor(memberId, monitorUrl) {
+    try {
+      const res = await axios.get(`${monitorUrl.replace(/\/$/, '')}/api/home`, {
+        timeout: 5 * 1000,
+      })
+      const monitorId = res.data?.localMonitorId
+      if (!monitorId) return
+      const monitor = await this.datastore.Monitor.findByPk(monitorId)
+      if (monitor) {
+        await monitor.update({ memberId })
+      } else {
+        await this.datastore.Monitor.create({ id: monitorId, multiaddress: [], memberId })
+      }
+      console.log('Linked monitor', monitorId, 'to member', memberId)
+      return monitorId
+    } catch (err) {
+      console.warn('Could not link monitor for', memberId, monitorUrl, err.message)
+    }
+  }
+
+  /**
+   * Diff members.json against the datastore, apply and log the changes
+   * @param {*} json - members.json, see fetchMembers()
+   * @returns the changes
+   */
+  async sync(json) {
+    const desired = await this._desired(json)
+    const changes = await this.diff(desired)
+    const memberIds = [...new Set(changes.map((c) => c.memberId))]
+    for (const memberId of memberIds) {
+      const memberChanges = changes.filter((c) => c.memberId === memberId)
+      await this._apply(memberId, desired[memberId], memberChanges)
+      await this.datastore.MemberChangeLog.bulkCreate(memberChanges)
+      console.log(
+        'MemberRegistry: updated',
+        memberId,
+        memberChanges.map((c) => c.changeType)
+      )
+      // a new or reactivated member, or a new monitor_url: the old monitor is no longer theirs
+      const monitorUrl = desired[memberId]?.record.monitorUrl
+      const linked = memberChanges.find(
+        (c) =>
+          c.changeType === 'member_added' ||
+          c.field === 'monitorUrl' ||
+          (c.field === 'status' && c.newValue === 'active')
+      )
+      if (linked && desired[memberId].record.status === 'active') {
+        if (linked.field === 'monitorUrl') {
+          await this.datastore.Monitor.update({ memberId: null }, { where: { memberId } })
+        }
+        if (monitorUrl) await this.linkMonitor(memberId, monitorUrl)
+      }
+    }
+    return changes
+  }
+}
+
+export { MemberRegistry, fetchMembers }
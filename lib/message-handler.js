@@ -4,15 +4,68 @@ import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
 // import { HealthChecker } from './health-checker.js'
 import { pipe } from 'it-pipe'
 import { stringToStream, shortStash } from './utils.js'
+import { verifyEnvelope } from './signed-message.js'
+import { classifyCheck } from './error-class.js'
+import { Maintenance } from './maintenance.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
 class MessageHandler {
   _ds = undefined //= new DataStore({})
   // _api = undefined
+  // signature => signedAt (millis) of the signed healthChecks of the last cfg.signing.maxAge
+  _seen = new Map()
 
   constructor(config) {
     this._ds = config?.datastore || new DataStore({})
+    this._maintenance = new Maintenance({ datastore: this._ds })
     // this._api = config.api || new HealthChecker()
   }
 
+  /**
+   * Decide what to do with gossip from a monitor
+   * - monitors in cfg.knownPeers are accepted
+   * - monitors linked to a member (monitor.memberId) are accepted
+   * - anything else follows cfg.unknownPeerPolicy
+   * @param {string} monitorId - peerId of the publishing monitor
+   * @returns {{ decision: 'accept' | 'quarantine' | 'reject', reason: string }}
+   */
+  async checkMonitor(monitorId) {
+    if ((cfg.knownPeers || []).includes(monitorId)) {
+      return { decision: 'accept', reason: 'known_peer' }
+    }
+    const monitor = await this._ds.Monitor.findByPk(monitorId)
+    if (monitor?.memberId) {
+      return { decision: 'accept', reason: 'member_monitor' }
+    }
+    return { decision: cfg.unknownPeerPolicy || 'accept', reason: 'unknown_monitor' }
+  }
+
+  /**
+   * A signed healthCheck is only as good as its signature when it is fresh and comes from the
+   * monitor that signed it, anyone can capture an envelope and publish it again
+   * @param {string} monitorId - peerId of the publishing monitor
+   * @param {*} record - the signed payload, { ...healthCheck, monitorId, signedAt }
+   * @param {string} signature - of the envelope
+   * @returns the reason to reject it, or null
+   */
+  checkReplay(monitorId, record, signature) {
+    const maxAge = (cfg.signing?.maxAge || 15 * 60) * 1000
+    const now = Date.now()
+    for (const [seen, signedAt] of this._seen) {
+      if (now - signedAt > maxAge) this._seen.delete(seen)
+    }
+    if (record.monitorId !== monitorId) return 'monitor_mismatch'
+    const signedAt = new Date(record.signedAt).getTime()
+    // clocks drift, allow as much in the future
+    if (isNaN(signedAt) || Math.abs(now - signedAt) > maxAge) return 'stale_signature'
+    if (this._seen.has(signature)) return 'duplicate_signature'
+    this._seen.set(signature, signedAt)
+    return null
+  }
+
   async handleDiscovery(peer) {
     console.debug('peer:discovery ', peer.detail.id.toString())
     // monitors will be upserted when they publish to /ibp/service
@@ -72,7 +125,6 @@ class MessageHandler {
   async handleMessage(evt) {
     // console.log(evt.detail)
     // if (peerId != self.peerId) {}
-    var model
     const record = JSON.parse(uint8ArrayToString(evt.detail.data))
     const monitorId = evt.detail.from.toString()
 
@@ -100,52 +152,12 @@ class MessageHandler {
 
       // a peer has published some results
       case '/ibp/healthCheck':
-        const { memberId, serviceId, peerId } = record
-        model = {
-          ...record,
-          monitorId,
-          // serviceUrl: record.serviceUrl,
-          // level: record.level || 'info',
-          source: 'gossip',
-          // record
-        }
-        // make sure the monitor exists - it's possible to get a healthCheck before a monitor publishes its peerId
-        const monitor = await this._ds.Monitor.findByPk(monitorId)
-        if (!monitor)
-          await this._ds.Monitor.create({ id: monitorId, multiaddress: [], status: 'active' })
-        // console.log('model for update', model)
-        console.log(
-          '/ibp/healthCheck from',
-          shortStash(monitorId),
-          'for',
-          memberId,
-          serviceId,
-          peerId
-        )
-        const memberServiceNode = await this._ds.MemberServiceNode.findByPk(peerId)
-        if (!memberServiceNode) {
-          const memberService = await this._ds.MemberService.findOne({
-            where: { memberId, serviceId },
-          })
-          if (memberService) {
-            if (!peerId) {
-              console.log('New member service node has null stash. Ignore.')
-            } else {
-              console.log('New member service node:', memberId, serviceId, peerId)
-              let node = {
-                peerId,
-                serviceId,
-                memberId,
-              }
-              await this._ds.MemberServiceNode.create(node)
-            }
-          } else {
-            console.error('Member service not found:', memberId, serviceId)
-            break
-          }
-        }
-        const hc = await this._ds.HealthCheck.create(model)
-        console.log(`Created health check ${hc.id} for`, memberId, serviceId, shortStash(peerId))
+        await this.handleHealthCheck(monitorId, record)
+        break
+
+      // a peer has published results signed with their member key
+      case '/ibp/signedMessage':
+        await this.handleSignedMessage(monitorId, record)
         break
       case '/ibp/rpc':
         break
@@ -158,6 +170,138 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Verify a signed envelope, see lib/signed-message.js
+   * The envelope is signed by the member operating the monitor, not the member being checked
+   * @param {string} monitorId - peerId of the publishing monitor
+   * @param {*} envelope - { type, signerId, payload, signature }
+   */
+  async handleSignedMessage(monitorId, envelope) {
+    const { type, signerId, payload } = envelope
+    const signer = await this._ds.Member.findByPk(signerId || '')
+    const signatureStatus = await verifyEnvelope(envelope, signer?.publicKey)
+    console.log('/ibp/signedMessage from', shortStash(monitorId), type, signerId, signatureStatus)
+    switch (type) {
+      case 'healthCheck': {
+        var record = null
+        try {
+          record = JSON.parse(payload)
+        } catch (err) {
+          console.warn('/ibp/signedMessage: payload', err.message)
+        }
+        const reason =
+          record && typeof record === 'object'
+            ? this.checkReplay(monitorId, record, envelope.signature)
+            : 'invalid_payload'
+        if (reason) {
+          console.warn(`/ibp/signedMessage from ${shortStash(monitorId)}: reject (${reason})`)
+          await this._ds.GossipDecision.create({
+            monitorId,
+            memberId: record?.memberId || null,
+            serviceId: record?.serviceId || null,
+            decision: 'reject',
+            reason,
+          })
+          break
+        }
+        // signing fields, not part of the healthCheck
+        delete record.signedAt
+        await this.handleHealthCheck(monitorId, record, { signerId, signatureStatus })
+        break
+      }
+      // a member announces maintenance, see lib/maintenance.js
+      case 'maintenanceWindow': {
+        const { window, created, error } = await this._maintenance.announce(
+          envelope,
+          signatureStatus
+        )
+        if (error) console.warn('/ibp/signedMessage: maintenanceWindow from', signerId, error)
+        else if (created) console.log('/ibp/signedMessage: maintenanceWindow', window.id, signerId)
+        break
+      }
+      default:
+        console.warn('/ibp/signedMessage: unknown type', type)
+    }
+  }
+
+  /**
+   * Store a healthCheck published by another monitor
+   * @param {string} monitorId - peerId of the publishing monitor
+   * @param {*} record - the healthCheck result
+   * @param {*} signature - { signerId, signatureStatus } for signed messages
+   */
+  async handleHealthCheck(monitorId, record, signature = {}) {
+    const { memberId, serviceId, peerId } = record
+    // local columns are ours to set: the id, when we received it, and whether it falls in a
+    // maintenance window, see Maintenance.tag()
+    const { id, createdAt, updatedAt, maintenance, ...fields } = record
+    const model = {
+      ...fields,
+      monitorId,
+      maintenance: false,
+      // serviceUrl: record.serviceUrl,
+      // level: record.level || 'info',
+      source: 'gossip',
+      signerId: signature.signerId || null,
+      signatureStatus: signature.signatureStatus || null,
+      // our own classification, the sender may run another version
+      errorClass: classifyCheck(record),
+      // record
+    }
+    // a valid member signature is as good as a known monitor
+    const { decision, reason } =
+      signature.signatureStatus === 'valid'
+        ? { decision: 'accept', reason: 'member_signature' }
+        : await this.checkMonitor(monitorId)
+    if (decision !== 'accept') {
+      console.warn(
+        `/ibp/healthCheck from ${shortStash(monitorId)}: ${decision} (${reason})`,
+        memberId,
+        serviceId
+      )
+      await this._ds.GossipDecision.create({
+        monitorId,
+        memberId,
+        serviceId,
+        decision,
+        reason,
+        record: decision === 'quarantine' ? model : null,
+      })
+      return
+    }
+    // make sure the monitor exists - it's possible to get a healthCheck before a monitor publishes its peerId
+    // only for accepted gossip, rejected or quarantined peers do not get a row
+    const monitor = await this._ds.Monitor.findByPk(monitorId)
+    if (!monitor)
+      await this._ds.Monitor.create({ id: monitorId, multiaddress: [], status: 'active' })
+    // console.log('model for update', model)
+    console.log('/ibp/healthCheck from', shortStash(monitorId), 'for', memberId, serviceId, peerId)
+    const memberServiceNode = await this._ds.MemberServiceNode.findByPk(peerId)
+    if (!memberServiceNode) {
+      const memberService = await this._ds.MemberService.findOne({
+        where: { memberId, serviceId },
+      })
+      if (memberService) {
+        if (!peerId) {
+          console.log('New member service node has null stash. Ignore.')
+        } else {
+          console.log('New member service node:', memberId, serviceId, peerId)
+          let node = {
+            peerId,
+            serviceId,
+            memberId,
+          }
+          await this._ds.MemberServiceNode.create(node)
+        }
+      } else {
+        console.error('Member service not found:', memberId, serviceId)
+        return
+      }
+    }
+    const hc = await this._ds.HealthCheck.create(model)
+    console.log(`Created health check ${hc.id} for`, memberId, serviceId, shortStash(peerId))
+  }
+
   // publish services we have
   async publishServices(services = [], libp2p) {
     for (var i = 0; i < services.length; i++) {
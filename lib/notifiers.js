@@ -0,0 +1,138 @@
+import axios from 'axios'
+import crypto from 'node:crypto'
+
+import { sendMail } from './smtp-client.js'
+
+/**
+ * Alert channels. Each notifier has `send(notice)`, where notice is { kind, rule, memberId,
+ * serviceId, message, firedAt, resolvedAt, details } and kind is 'firing', 'resolved' or 'test'.
+ * All endpoints come from config, point them at a local server to test a channel.
+ */
+
+const TIMEOUT = 10 * 1000
+
+function formatNotice({ kind, rule, memberId, serviceId, message }) {
+  const prefix = { firing: '[ALERT]', resolved: '[RESOLVED]', test: '[TEST]' }[kind] || '[ALERT]'
+  return `${prefix} ${rule}: ${memberId} ${serviceId} - ${message}`
+}
+
+// POST the notice as json
+class WebhookNotifier {
+  constructor({ url, headers = {}, timeout = TIMEOUT }) {
+    this.url = url
+    this.headers = headers
+    this.timeout = timeout
+  }
+
+  async send(notice) {
+    await axios.post(
+      this.url,
+      { ...notice, text: formatNotice(notice) },
+      { headers: this.headers, timeout: this.timeout }
+    )
+  }
+}
+
+// m.room.message via the client-server api, the access token must have joined the room
+class MatrixNotifier {
+  constructor({ homeserver, roomId, accessToken, timeout = TIMEOUT }) {
+    this.homeserver = homeserver.replace(/\/$/, '')
+    this.roomId = roomId
+    this.accessToken = accessToken
+    this.timeout = timeout
+  }
+
+  async send(notice) {
+    const txnId = crypto.randomUUID()
+    const url = `${this.homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(
+      this.roomId
+    )}/send/m.room.message/${txnId}`
+    await axios.put(
+      url,
+      { msgtype: 'm.text', body: formatNotice(notice) },
+      { headers: { Authorization: `Bearer ${this.accessToken}` }, timeout: this.timeout }
+    )
+  }
+}
+
+// sendMessage of the bot api, apiUrl can point at a local server
+class TelegramNotifier {
+  constructor({ botToken, chatId, apiUrl = 'https://api.telegram.org', timeout = TIMEOUT }) {
+    this.botToken = botToken
+    this.chatId = chatId
+    this.apiUrl = apiUrl.replace(/\/$/, '')
+    this.timeout = timeout
+  }
+
+  async send(notice) {
+    await axios.post(
+      `${this.apiUrl}/bot${this.botToken}/sendMessage`,
+      { chat_id: this.chatId, text: formatNotice(notice) },
+      { timeout: this.timeout }
+    )
+  }
+}
+
+// plain text mail, see lib/smtp-client.js
+class SmtpNotifier {
+  constructor({ from, to, ...options }) {
+    this.from = from
+    this.to = to
+    this.options = options
+  }
+
+  async send(notice) {
+    const text = [
+      formatNotice(notice),
+      '',
+      `member: ${notice.memberId}`,
+      `service: ${notice.serviceId}`,
+      `fired: ${notice.firedAt ? new Date(notice.firedAt).toISOString() : '-'}`,
+      `resolved: ${notice.resolvedAt ? new Date(notice.resolvedAt).toISOString() : '-'}`,
+      '',
+      JSON.stringify(notice.details || {}, null, 2),
+    ].join('\n')
+    await sendMail(this.options, {
+      from: this.from,
+      to: this.to,
+      subject: formatNotice(notice),
+      text,
+    })
+  }
+}
+
+const notifierTypes = {
+  webhook: WebhookNotifier,
+  matrix: MatrixNotifier,
+  telegram: TelegramNotifier,
+  smtp: SmtpNotifier,
+}
+
+/**
+ * The enabled channels of cfg.alerts.channels
+ * @param {*} channels - { [name]: { type, enabled, ...options } }, type is 'webhook',
+ *   'matrix', 'telegram' or 'smtp' and defaults to the name
+ * @returns { [name]: notifier }
+ */
+function createNotifiers(channels = {}) {
+  const notifiers = {}
+  for (const [name, { type, enabled = true, ...options }] of Object.entries(channels)) {
+    if (!enabled) continue
+    const Notifier = notifierTypes[type || name]
+    if (!Notifier) {
+      console.warn('Unknown alert channel type', name, type)
+      continue
+    }
+    notifiers[name] = new Notifier(options)
+  }
+  return notifiers
+}
+
+export {
+  createNotifiers,
+  formatNotice,
+  WebhookNotifier,
+  MatrixNotifier,
+  TelegramNotifier,
+  SmtpNotifier,
+}
@@ -0,0 +1,54 @@
+import dns from 'node:dns'
+import net from 'node:net'
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+/**
+ * Dial a member ip for a shared domain, per connection rather than for the whole process.
+ *
+ * Only the address lookup is replaced: the connection still uses the domain for SNI, the Host
+ * header and certificate verification. Concurrent checks of different members on the same
+ * domain each get their own lookup, so one check can not send another to the wrong member.
+ */
+
+const resolve = dns.lookup
+const pinned = new AsyncLocalStorage()
+var installed = false
+
+/**
+ * A `lookup` for net, tls and https options that resolves `domain` to `ip`
+ * @param {string} domain - e.g. rpc.dotters.network
+ * @param {string} ip - member.serviceIpAddress
+ */
+function pinnedLookup(domain, ip) {
+  const family = net.isIP(ip)
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    if (hostname !== domain) return resolve(hostname, options, callback)
+    // like dns.lookup, never call back synchronously
+    process.nextTick(() => {
+      if (!family) callback(new Error(`Invalid ip address for ${domain}: ${ip}`))
+      else if (options.all) callback(null, [{ address: ip, family }])
+      else callback(null, ip, family)
+    })
+  }
+}
+
+/**
+ * Run `fn` with `lookup` for every connection it opens, also in its async continuations.
+ * For clients that do not take a lookup option, like WsProvider.
+ * dns.lookup is wrapped once, outside of `fn` it resolves as before.
+ * @param {*} lookup - see pinnedLookup()
+ * @param {*} fn
+ */
+function withPinnedLookup(lookup, fn) {
+  if (!installed) {
+    dns.lookup = (...args) => (pinned.getStore() || resolve)(...args)
+    installed = true
+  }
+  return pinned.run(lookup, fn)
+}
+
+export { pinnedLookup, withPinnedLookup }
@@ -1,4 +1,8 @@
 import moment from 'moment'
+import { Op, fn, col } from 'sequelize'
+
+// consensus status as a gauge value
+const statusValues = { success: 0, warning: 1, error: 2, maintenance: 3 }
 
 class PrometheusExporter {
   _ds = undefined
@@ -47,6 +51,52 @@ class PrometheusExporter {
       lines.push('# HELP ibp_service_error_count')
       lines.push('# TYPE ibp_service_error_count counter')
       lines.push(`ibp_service_error_count{serviceId="${serviceId}"} ${errorCount || 0}`)
+
+      // failed checks per member and cause, see lib/error-class.js
+      // a gauge: pruning removes old checks, see cfg.pruning
+      const errorClasses = await this._ds.HealthCheck.findAll({
+        attributes: ['memberId', 'errorClass', [fn('COUNT', col('id')), 'count']],
+        where: { serviceId, errorClass: { [Op.ne]: null } },
+        group: ['memberId', 'errorClass'],
+        order: [],
+        raw: true,
+      })
+      lines.push(
+        '# HELP ibp_service_error_class_count failed checks by cause, of the stored checks'
+      )
+      lines.push('# TYPE ibp_service_error_class_count gauge')
+      errorClasses.forEach(({ memberId, errorClass, count }) => {
+        lines.push(
+          `ibp_service_error_class_count{serviceId="${serviceId}", memberId="${memberId}", errorClass="${errorClass}"} ${count}`
+        )
+      })
+
+      // latest verdict of all monitors per member, see lib/consensus-engine.js
+      const latest = await this._ds.Consensus.findOne({ where: { serviceId } })
+      const verdicts = latest
+        ? await this._ds.Consensus.findAll({
+            where: { serviceId, windowStart: latest.windowStart },
+            order: [['memberId', 'ASC']],
+          })
+        : []
+      lines.push(
+        '# HELP ibp_service_consensus_status consensus of all monitors, 0: success, 1: warning, 2: error, 3: maintenance'
+      )
+      lines.push('# TYPE ibp_service_consensus_status gauge')
+      verdicts.forEach((verdict) => {
+        lines.push(
+          `ibp_service_consensus_status{serviceId="${serviceId}", memberId="${verdict.memberId}"} ${
+            statusValues[verdict.status]
+          }`
+        )
+      })
+      lines.push('# HELP ibp_service_consensus_monitors independent monitors in the consensus')
+      lines.push('# TYPE ibp_service_consensus_monitors gauge')
+      verdicts.forEach((verdict) => {
+        lines.push(
+          `ibp_service_consensus_monitors{serviceId="${serviceId}", memberId="${verdict.memberId}"} ${verdict.monitorCount}`
+        )
+      })
       const checks = await this._ds.HealthCheck.findAll({
         where: { serviceId },
         order: [['id', 'DESC']],
@@ -75,6 +125,54 @@ class PrometheusExporter {
       lines.push('# TYPE ibp_service_performance_100 gauge')
       lines.push(`ibp_service_performance_100{serviceId="${serviceId}"} ${avg}`)
 
+      // block height drift of the latest check per member, see lib/block-reference.js
+      const latestLag = {}
+      checks.forEach((hc) => {
+        if (hc.blockLag === null || latestLag[hc.memberId]) return
+        latestLag[hc.memberId] = hc
+      })
+      lines.push('# HELP ibp_service_block_lag best block behind the median of all members')
+      lines.push('# TYPE ibp_service_block_lag gauge')
+      Object.values(latestLag).forEach((hc) => {
+        lines.push(
+          `ibp_service_block_lag{serviceId="${serviceId}", memberId="${hc.memberId}"} ${hc.blockLag}`
+        )
+      })
+      lines.push(
+        '# HELP ibp_service_finalized_lag finalized block behind the median of all members'
+      )
+      lines.push('# TYPE ibp_service_finalized_lag gauge')
+      Object.values(latestLag).forEach((hc) => {
+        lines.push(
+          `ibp_service_finalized_lag{serviceId="${serviceId}", memberId="${hc.memberId}"} ${hc.finalizedLag}`
+        )
+      })
+
+      // tls certificate of the latest check per member, see lib/tls-check.js
+      const latestCert = {}
+      checks.forEach((hc) => {
+        if (hc.certDaysToExpiry === null || latestCert[hc.memberId]) return
+        latestCert[hc.memberId] = hc
+      })
+      lines.push('# HELP ibp_service_cert_days_to_expiry days until the tls certificate expires')
+      lines.push('# TYPE ibp_service_cert_days_to_expiry gauge')
+      Object.values(latestCert).forEach((hc) => {
+        lines.push(
+          `ibp_service_cert_days_to_expiry{serviceId="${serviceId}", memberId="${hc.memberId}"} ${hc.certDaysToExpiry}`
+        )
+      })
+      lines.push(
+        '# HELP ibp_service_cert_valid tls certificate is trusted and matches the domain, 1: valid, 0: invalid'
+      )
+      lines.push('# TYPE ibp_service_cert_valid gauge')
+      Object.values(latestCert).forEach((hc) => {
+        const { tls = {} } = this._parseRecord(hc.record)
+        const valid = tls.authorized && tls.hostnameMatch && hc.certDaysToExpiry >= 0 ? 1 : 0
+        lines.push(
+          `ibp_service_cert_valid{serviceId="${serviceId}", memberId="${hc.memberId}"} ${valid}`
+        )
+      })
+
       // api.rpc.system.peers() is an unsafe RPC method
       // api.rpc.net.peerCount returns undefined...
       // TODO peerCount
@@ -0,0 +1,93 @@
+import { Queue } from 'bullmq'
+
+import { quantile } from './utils.js'
+
+// completed jobs sampled for wait and processing times
+const SAMPLE_SIZE = 100
+
+/**
+ * Throughput and wait times of the BullMQ queues, in Prometheus format.
+ * Throughput comes from the queue metrics the workers collect, see workers.js
+ */
+class QueueMetrics {
+  _queues = []
+
+  /**
+   * @param {*} options - { names: queue names, connection: cfg.redis }
+   */
+  constructor({ names = [], connection }) {
+    this._queues = names.map((name) => new Queue(name, { connection }))
+  }
+
+  async export() {
+    const lines = []
+    const samples = []
+    for (const queue of this._queues) {
+      const counts = await queue.getJobCounts('waiting', 'active', 'delayed', 'completed', 'failed')
+      // per minute, latest first
+      const completed = await queue.getMetrics('completed', 0, 4)
+      const failed = await queue.getMetrics('failed', 0, 4)
+      const jobs = (await queue.getCompleted(0, SAMPLE_SIZE - 1)).filter(
+        (job) => job.processedOn && job.finishedOn
+      )
+      samples.push({ queue, counts, completed, failed, jobs })
+    }
+
+    lines.push('# HELP ibp_queue_jobs jobs per queue and state')
+    lines.push('# TYPE ibp_queue_jobs gauge')
+    samples.forEach(({ queue, counts }) => {
+      Object.entries(counts).forEach(([state, count]) => {
+        lines.push(`ibp_queue_jobs{queue="${queue.name}", state="${state}"} ${count}`)
+      })
+    })
+    lines.push(
+      '# HELP ibp_queue_completed_per_minute completed jobs, average of the last 5 minutes'
+    )
+    lines.push('# TYPE ibp_queue_completed_per_minute gauge')
+    samples.forEach(({ queue, completed }) => {
+      const sum = completed.data.reduce((total, count) => total + Number(count), 0)
+      lines.push(
+        `ibp_queue_completed_per_minute{queue="${queue.name}"} ${
+          sum / (completed.data.length || 1)
+        }`
+      )
+    })
+    lines.push('# HELP ibp_queue_failed_per_minute failed jobs, average of the last 5 minutes')
+    lines.push('# TYPE ibp_queue_failed_per_minute gauge')
+    samples.forEach(({ queue, failed }) => {
+      const sum = failed.data.reduce((total, count) => total + Number(count), 0)
+      lines.push(
+        `ibp_queue_failed_per_minute{queue="${queue.name}"} ${sum / (failed.data.length || 1)}`
+      )
+    })
+    lines.push(`# HELP ibp_queue_wait_seconds time from add to start, last ${SAMPLE_SIZE} jobs`)
+    lines.push('# TYPE ibp_queue_wait_seconds summary')
+    samples.forEach(({ queue, jobs }) => {
+      const waits = jobs.map((job) => (job.processedOn - job.timestamp) / 1000)
+      ;[0.5, 0.9, 0.99].forEach((q) => {
+        lines.push(
+          `ibp_queue_wait_seconds{queue="${queue.name}", quantile="${q}"} ${
+            quantile(waits, q) ?? 0
+          }`
+        )
+      })
+    })
+    lines.push(
+      `# HELP ibp_queue_process_seconds time from start to finish, last ${SAMPLE_SIZE} jobs`
+    )
+    lines.push('# TYPE ibp_queue_process_seconds summary')
+    samples.forEach(({ queue, jobs }) => {
+      const times = jobs.map((job) => (job.finishedOn - job.processedOn) / 1000)
+      ;[0.5, 0.9, 0.99].forEach((q) => {
+        lines.push(
+          `ibp_queue_process_seconds{queue="${queue.name}", quantile="${q}"} ${
+            quantile(times, q) ?? 0
+          }`
+        )
+      })
+    })
+    return lines.join('\n')
+  }
+}
+
+export { QueueMetrics }
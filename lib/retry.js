@@ -0,0 +1,65 @@
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+/**
+ * The retries of checkService for a service: cfg.retry.services[serviceId], then
+ * cfg.retry.chains[chainId], over cfg.retry.default
+ * @param {*} service - { id, chainId }
+ * @returns { retries, interval, backoff, maxInterval }
+ */
+function retryPolicy(service) {
+  const { services = {}, chains = {} } = cfg.retry || {}
+  return {
+    retries: 3,
+    interval: 5 * 1000,
+    backoff: 1,
+    maxInterval: 60 * 1000,
+    ...cfg.retry?.default,
+    ...chains[service.chainId],
+    ...services[service.id],
+  }
+}
+
+/**
+ * All attempts failed, `cause` is the error of the last one
+ */
+class RetryError extends Error {
+  constructor(attempts) {
+    super('Max retries exceeded', { cause: attempts[attempts.length - 1]?.error })
+    this.name = 'RetryError'
+    this.attempts = attempts
+  }
+}
+
+/**
+ * Call fn until it resolves, at most policy.retries times again. The wait before the nth retry
+ * is interval * backoff^(n-1), up to maxInterval.
+ * fn gets the attempt { attempt, startedAt, phase } and sets attempt.phase as it goes, so a
+ * failure says where it failed.
+ * @param {function} fn - async (attempt) => result
+ * @param {*} policy - see retryPolicy()
+ * @param {*} options - { onError: (attempt) => void }
+ * @returns { result, attempts }, throws a RetryError after the last attempt
+ */
+async function retry(fn, policy, { onError } = {}) {
+  const { retries, interval, backoff, maxInterval } = policy
+  const attempts = []
+  for (let n = 1; ; n++) {
+    const attempt = { attempt: n, startedAt: new Date(), phase: null }
+    const start = performance.now()
+    try {
+      const result = await fn(attempt)
+      attempts.push({ ...attempt, durationMs: performance.now() - start, error: null })
+      return { result, attempts }
+    } catch (error) {
+      attempts.push({ ...attempt, durationMs: performance.now() - start, error })
+      if (onError) onError(attempts[attempts.length - 1])
+      if (n > retries) throw new RetryError(attempts)
+      const wait = Math.min(interval * Math.pow(backoff, n - 1), maxInterval)
+      await new Promise((resolve) => setTimeout(resolve, wait))
+    }
+  }
+}
+
+export { retryPolicy, retry, RetryError }
@@ -0,0 +1,140 @@
+import moment from 'moment'
+import { Op } from 'sequelize'
+
+import { quantile } from './utils.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+const HOUR = 60 * 60 // as seconds
+const DAY = 24 * HOUR
+
+/**
+ * Roll the raw health checks up into hourly and daily aggregates per member/service/type:
+ * counts by status, response time percentiles and block lag.
+ * Raw checks are only kept for a short while (cfg.pruning.raw), long-range graphs and
+ * reports read the aggregates.
+ * Checks during a maintenance window are left out, see lib/maintenance.js
+ *
+ * Periods are UTC. The last `lookback` hours are rolled up again on every run, gossip can arrive
+ * late. The first run rolls up all raw checks in the datastore.
+ */
+class Rollup {
+  datastore = undefined
+  lookback = 3 // hours
+
+  constructor({ datastore }) {
+    this.datastore = datastore
+    if (cfg.pruning?.lookback !== undefined) this.lookback = cfg.pruning.lookback
+  }
+
+  periodStart(date = new Date(), seconds = HOUR) {
+    const ms = seconds * 1000
+    return new Date(Math.floor(date.getTime() / ms) * ms)
+  }
+
+  /**
+   * Aggregate the raw checks between from and to, read an hour at a time
+   * @param {Date} from
+   * @param {Date} to
+   * @returns { [memberId|serviceId|type]: { counts, responseTimes, blockLags } }
+   */
+  async _aggregate(from, to) {
+    const groups = {}
+    for (let start = from.getTime(); start < to.getTime(); start += HOUR * 1000) {
+      const healthChecks = await this.datastore.HealthCheck.findAll({
+        attributes: ['memberId', 'serviceId', 'type', 'status', 'responseTimeMs', 'blockLag'],
+        where: {
+          maintenance: false,
+          createdAt: { [Op.gte]: new Date(start), [Op.lt]: new Date(start + HOUR * 1000) },
+        },
+        order: [],
+        raw: true,
+      })
+      for (let healthCheck of healthChecks) {
+        const key = `${healthCheck.memberId}|${healthCheck.serviceId}|${healthCheck.type}`
+        groups[key] = groups[key] || {
+          counts: { success: 0, warning: 0, error: 0 },
+          responseTimes: [],
+          blockLags: [],
+        }
+        groups[key].counts[healthCheck.status]++
+        if (healthCheck.responseTimeMs !== null) {
+          groups[key].responseTimes.push(healthCheck.responseTimeMs)
+        }
+        if (healthCheck.blockLag !== null) groups[key].blockLags.push(healthCheck.blockLag)
+      }
+    }
+    return groups
+  }
+
+  /**
+   * The aggregate columns of one group
+   * @param {*} group - see _aggregate()
+   */
+  summary({ counts, responseTimes, blockLags }) {
+    const avg = (values) =>
+      values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+    return {
+      checkCount: counts.success + counts.warning + counts.error,
+      successCount: counts.success,
+      warningCount: counts.warning,
+      errorCount: counts.error,
+      responseTimeAvg: avg(responseTimes),
+      responseTimeP50: quantile(responseTimes, 0.5),
+      responseTimeP90: quantile(responseTimes, 0.9),
+      responseTimeP99: quantile(responseTimes, 0.99),
+      blockLagAvg: avg(blockLags),
+      blockLagMax: blockLags.length ? Math.max(...blockLags) : null,
+    }
+  }
+
+  /**
+   * Compute and store the aggregates for the period starting at periodStart
+   * @param {*} model - datastore.HealthCheckHourly or .HealthCheckDaily
+   * @param {Date} periodStart
+   * @param {number} seconds - length of the period
+   */
+  async computePeriod(model, periodStart, seconds) {
+    const periodEnd = new Date(periodStart.getTime() + seconds * 1000)
+    const groups = await this._aggregate(periodStart, periodEnd)
+    for (let [key, group] of Object.entries(groups)) {
+      const [memberId, serviceId, type] = key.split('|')
+      await model.upsert({ memberId, serviceId, type, periodStart, ...this.summary(group) })
+    }
+    return Object.keys(groups).length
+  }
+
+  /**
+   * First period to (re)compute: the lookback before now, or before the last stored period
+   * when we are behind, or the oldest raw check on the first run
+   */
+  async _from(model, seconds) {
+    const lookback = this.periodStart(new Date(Date.now() - this.lookback * HOUR * 1000), seconds)
+    const last = await model.max('periodStart')
+    if (last) return new Date(Math.min(lookback.getTime(), new Date(last).getTime()))
+    const first = await this.datastore.HealthCheck.min('createdAt')
+    return first ? this.periodStart(new Date(first), seconds) : lookback
+  }
+
+  async _update(model, seconds) {
+    const current = this.periodStart(new Date(), seconds)
+    const from = await this._from(model, seconds)
+    for (let start = from.getTime(); start <= current.getTime(); start += seconds * 1000) {
+      const periodStart = new Date(start)
+      const count = await this.computePeriod(model, periodStart, seconds)
+      console.debug('Rollup.update()', model.tableName, moment.utc(periodStart).format(), count)
+    }
+  }
+
+  /**
+   * Roll up the hours and days since the last run, and the lookback before it
+   */
+  async update() {
+    await this._update(this.datastore.HealthCheckHourly, HOUR)
+    await this._update(this.datastore.HealthCheckDaily, DAY)
+  }
+}
+
+export { Rollup }
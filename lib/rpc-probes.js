@@ -0,0 +1,117 @@
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+const PROBE_TIMEOUT = 10 * 1000 // 10 seconds
+
+/**
+ * RPC probes run by checkService, see cfg.rpcProbes.
+ * A probe is `async (api, options) => ({ pass, ...detail })`, latency is measured by runProbes().
+ * Add a probe here and list it in the suite of a chain or service to enable it.
+ */
+const probes = {
+  // state_getRuntimeVersion
+  async runtimeVersion(api) {
+    const { specName, specVersion, transactionVersion } = await api.rpc.state.getRuntimeVersion()
+    return {
+      pass: true,
+      specName: specName.toString(),
+      specVersion: specVersion.toNumber(),
+      transactionVersion: transactionVersion.toNumber(),
+    }
+  },
+
+  // state_getMetadata, slow nodes take seconds to serve it
+  async metadata(api, { maxMs = 2000 }) {
+    const start = performance.now()
+    const metadata = await api.rpc.state.getMetadata()
+    const durationMs = performance.now() - start
+    return { pass: durationMs <= maxMs, maxMs, bytes: metadata.encodedLength }
+  },
+
+  // timestamp.now of the best block, a stalled node serves an old timestamp
+  async timestamp(api, { maxAge = 60 }) {
+    const now = (await api.query.timestamp.now()).toNumber()
+    const age = (Date.now() - now) / 1000
+    return { pass: age <= maxAge, maxAge, timestamp: now, age }
+  },
+
+  // chain_subscribeNewHeads, a new head should arrive within `within` seconds
+  async newHeads(api, { within = 30 }) {
+    var subscription
+    var timeout
+    try {
+      const number = await new Promise((resolve, reject) => {
+        timeout = setTimeout(
+          () => reject(new Error(`No new head within ${within}s`)),
+          within * 1000
+        )
+        subscription = api.rpc.chain.subscribeNewHeads((header) =>
+          resolve(header.number.toNumber())
+        )
+        subscription.catch(reject)
+      })
+      return { pass: true, within, number }
+    } finally {
+      clearTimeout(timeout)
+      // unsubscribe, also when the subscription resolves after the timeout
+      subscription?.then((unsub) => unsub()).catch(() => {})
+    }
+  },
+
+  // rpc_methods, the node must expose the required methods
+  async rpcMethods(api, { required = [] }) {
+    const { methods } = await api.rpc.rpc.methods()
+    const available = methods.map((m) => m.toString())
+    const missing = required.filter((m) => !available.includes(m))
+    return { pass: missing.length === 0, count: available.length, missing }
+  },
+}
+
+/**
+ * The probe suite of a service: cfg.rpcProbes.services, then .chains, then .default
+ * @param {*} service - Service model, with chainId
+ */
+function probeSuite(service) {
+  const { services = {}, chains = {} } = cfg.rpcProbes || {}
+  return services[service.id] || chains[service.chainId] || cfg.rpcProbes?.default || []
+}
+
+function withTimeout(promise, ms) {
+  var timeout
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error('Probe timeout')), ms)
+    }),
+  ]).finally(() => clearTimeout(timeout))
+}
+
+/**
+ * Run a probe suite
+ * @param {*} api - ApiPromise
+ * @param {*} suite - [{ probe, severity: 'warning' | 'error', timeout, ...options }]
+ * @returns [{ probe, severity, pass, latencyMs, ...detail, error }]
+ */
+async function runProbes(api, suite = []) {
+  const results = []
+  for (const { probe, severity = 'warning', timeout = PROBE_TIMEOUT, ...options } of suite) {
+    const start = performance.now()
+    try {
+      if (!probes[probe]) throw new Error(`Unknown probe: ${probe}`)
+      const detail = await withTimeout(probes[probe](api, options), timeout)
+      results.push({ probe, severity, ...detail, latencyMs: performance.now() - start })
+    } catch (err) {
+      results.push({
+        probe,
+        severity,
+        pass: false,
+        latencyMs: performance.now() - start,
+        error: err.message,
+      })
+    }
+  }
+  return results
+}
+
+export { probes, probeSuite, runProbes }
@@ -0,0 +1,194 @@
+import { createHash } from 'node:crypto'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+/**
+ * Check schedules as BullMQ repeatable jobs, one per member and service.
+ *
+ * The repeatable jobs live in redis, so they survive a restart. sync() compares them with the
+ * members and services in the datastore: missing schedules are added, schedules of removed
+ * members or services and schedules with a changed interval are removed.
+ * Jobs carry ids only, the workers read the member and service when the job runs.
+ *
+ * Each schedule starts at an offset within its interval, derived from our monitorId and the job id.
+ * Monitors spread their checks of a member, and the offset of a schedule survives a restart.
+ */
+
+/**
+ * Check interval of a service, as seconds: cfg.schedule.services, then .chains,
+ * then .membershipLevels, then cfg.updateInterval
+ * @param {*} service - Service model
+ */
+function checkInterval(service) {
+  const { services = {}, chains = {}, membershipLevels = {} } = cfg.schedule || {}
+  return (
+    services[service.id] ||
+    chains[service.chainId] ||
+    membershipLevels[service.membershipLevelId] ||
+    (cfg.updateInterval || 5 * 60 * 1000) / 1000
+  )
+}
+
+/**
+ * Start offset within the interval, cfg.schedule.jitter is the fraction of the interval used
+ * @param {string} key - monitorId and job id
+ * @param {number} every - interval as millis
+ * @returns offset as millis
+ */
+function jitterOffset(key, every) {
+  const window = Math.floor(every * (cfg.schedule?.jitter ?? 0.5))
+  if (window < 1) return 0
+  return createHash('sha256').update(key).digest().readUInt32BE(0) % window
+}
+
+class Scheduler {
+  datastore = undefined
+  queues = {}
+  monitorId = undefined
+  jobOptions = {}
+
+  /**
+   * @param {*} options - { datastore, queues: { checkService, checkBootnode, syncMembers, pruneData }, monitorId, jobOptions }
+   */
+  constructor({ datastore, queues, monitorId, jobOptions = {} }) {
+    this.datastore = datastore
+    this.queues = queues
+    this.monitorId = monitorId
+    this.jobOptions = jobOptions
+  }
+
+  // stable job id, BullMQ uses ':' as separator in the repeat key
+  _jobId(memberId, serviceId) {
+    return `${memberId}/${serviceId}`
+  }
+
+  _schedule(queue, jobId, every, data) {
+    const offset = jitterOffset(`${this.monitorId}/${jobId}`, every)
+    return { queue, jobId, every, offset, data }
+  }
+
+  /**
+   * The schedules the datastore asks for
+   * @returns [{ queue, jobId, every, offset, data }], every and offset as millis
+   */
+  async desired() {
+    const ds = this.datastore
+    const schedules = []
+    const members = await ds.Member.findAll({ where: { status: 'active' } })
+
+    // rpc: all monitors check all members at or above the level of the service
+    const services = await ds.Service.findAll({ where: { type: 'rpc', status: 'active' } })
+    for (const service of services) {
+      for (const member of members) {
+        if (member.membershipLevelId < service.membershipLevelId) continue
+        schedules.push(
+          this._schedule(
+            'checkService',
+            this._jobId(member.id, service.id),
+            checkInterval(service) * 1000,
+            { memberId: member.id, serviceId: service.id, monitorId: this.monitorId }
+          )
+        )
+      }
+    }
+
+    // bootnodes: the members with bootnodes in members.json
+    const bootnodeServices = await ds.Service.findAll({
+      where: { type: 'bootnode', status: 'active' },
+    })
+    const memberServices = await ds.MemberService.findAll({ where: { status: 'active' } })
+    const bootnodes = await ds.MemberServiceBootnode.findAll()
+    for (const service of bootnodeServices) {
+      for (const member of members) {
+        if (member.membershipLevelId < service.membershipLevelId) continue
+        const active = memberServices.find(
+          (ms) => ms.memberId === member.id && ms.serviceId === service.id
+        )
+        const addresses = bootnodes.filter(
+          (b) => b.memberId === member.id && b.serviceId === service.id
+        )
+        if (!active || addresses.length === 0) continue
+        schedules.push(
+          this._schedule(
+            'checkBootnode',
+            this._jobId(member.id, service.id),
+            checkInterval(service) * 1000,
+            { memberId: member.id, serviceId: service.id, monitorId: this.monitorId }
+          )
+        )
+      }
+    }
+
+    // members.json
+    schedules.push(
+      this._schedule('syncMembers', 'syncMembers', cfg.members.interval * 1000, {
+        url: cfg.members.url,
+      })
+    )
+    // rollups and pruning, see workers/f-prune-data.js
+    schedules.push(this._schedule('pruneData', 'pruneData', cfg.pruning.interval * 1000, {}))
+    return schedules
+  }
+
+  /**
+   * Bring the repeatable jobs in line with desired()
+   * @returns { added, removed }
+   */
+  async sync() {
+    const schedules = await this.desired()
+    var added = 0
+    var removed = 0
+    for (const [name, queue] of Object.entries(this.queues)) {
+      const wanted = schedules.filter((s) => s.queue === name)
+      // keyToData() of BullMQ returns `every` as the pattern
+      const existing = await queue.getRepeatableJobs()
+      for (const job of existing) {
+        if (wanted.find((s) => s.jobId === job.id && String(s.every) === job.pattern)) continue
+        await queue.removeRepeatableByKey(job.key)
+        removed++
+      }
+      for (const schedule of wanted) {
+        const key = `${schedule.jobId}:${schedule.every}`
+        if (existing.find((job) => `${job.id}:${job.pattern}` === key)) continue
+        await queue.add(name, schedule.data, {
+          ...this.jobOptions,
+          jobId: schedule.jobId,
+          repeat: { every: schedule.every, offset: schedule.offset },
+        })
+        added++
+      }
+    }
+    console.log(`Scheduler: ${schedules.length} schedules, ${added} added, ${removed} removed`)
+    return { added, removed }
+  }
+
+  /**
+   * The schedules with their next run, for /api/schedule
+   * @returns [{ queue, jobId, memberId, serviceId, every, offset, scheduled, next }], next as millis
+   */
+  async list() {
+    const schedules = await this.desired()
+    const repeatable = {}
+    for (const [name, queue] of Object.entries(this.queues)) {
+      repeatable[name] = await queue.getRepeatableJobs()
+    }
+    return schedules.map(({ queue, jobId, every, offset, data }) => {
+      const job = repeatable[queue]?.find((j) => j.id === jobId && j.pattern === String(every))
+      return {
+        queue,
+        jobId,
+        memberId: data.memberId || null,
+        serviceId: data.serviceId || null,
+        every,
+        offset,
+        scheduled: !!job,
+        // BullMQ keeps the slot, the job runs at slot + offset
+        next: job ? job.next + offset : null,
+      }
+    })
+  }
+}
+
+export { Scheduler, checkInterval, jitterOffset }
@@ -0,0 +1,76 @@
+import { Keyring } from '@polkadot/keyring'
+import { stringToU8a, u8aToHex } from '@polkadot/util'
+import { cryptoWaitReady, decodeAddress, signatureVerify } from '@polkadot/util-crypto'
+
+/**
+ * Envelope for /ibp/signedMessage
+ * {
+ *   type: 'healthCheck',
+ *   signerId: memberId of the monitor operator,
+ *   payload: JSON string, this is what gets signed,
+ *   signature: hex
+ * }
+ */
+
+/**
+ * Create a signer from cfg.signing
+ * @param {*} signing - { memberId, type: 'sr25519' | 'ed25519', suri }
+ * @returns { memberId, pair } or undefined when signing is not configured
+ */
+async function createSigner(signing = {}) {
+  const { memberId, type, suri } = signing
+  if (!memberId || !suri) return undefined
+  await cryptoWaitReady()
+  const keyring = new Keyring({ type: type || 'sr25519' })
+  const pair = keyring.addFromUri(suri)
+  console.log(`Signing messages for ${memberId} with ${pair.address}`)
+  return { memberId, pair }
+}
+
+function signEnvelope(signer, type, data) {
+  const payload = JSON.stringify(data)
+  return {
+    type,
+    signerId: signer.memberId,
+    payload,
+    signature: u8aToHex(signer.pair.sign(stringToU8a(payload))),
+  }
+}
+
+/**
+ * Is the key of the signer the one registered for the member?
+ * @param {*} signer - see createSigner()
+ * @param {string} publicKey - member.publicKey, members.json `public_key`
+ * @returns 'valid' | 'mismatch' | 'unknown_key'
+ */
+function registeredKeyStatus(signer, publicKey) {
+  if (!publicKey) return 'unknown_key'
+  try {
+    return u8aToHex(decodeAddress(publicKey)) === u8aToHex(signer.pair.publicKey)
+      ? 'valid'
+      : 'mismatch'
+  } catch (err) {
+    return 'mismatch'
+  }
+}
+
+/**
+ * Verify an envelope against the signer's registered key
+ * @param {*} envelope
+ * @param {string} publicKey - hex public key or ss58 address, see member.publicKey
+ * @returns 'valid' | 'invalid' | 'unknown_key'
+ */
+async function verifyEnvelope(envelope, publicKey) {
+  if (!publicKey) return 'unknown_key'
+  await cryptoWaitReady()
+  try {
+    const { isValid } = signatureVerify(envelope.payload, envelope.signature, publicKey)
+    return isValid ? 'valid' : 'invalid'
+  } catch (err) {
+    // malformed signature or key
+    console.warn('verifyEnvelope', err.message)
+    return 'invalid'
+  }
+}
+
+export { createSigner, registeredKeyStatus, signEnvelope, verifyEnvelope }
@@ -0,0 +1,207 @@
+import { Op, fn, col, literal } from 'sequelize'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+const round = (value, digits = 3) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Monthly SLA per member/service, from the aggregates rather than the raw checks:
+ * - availability: consensus windows not in `error`, from StatusHourly, see lib/consensus-engine.js
+ * - latency: hours with a p90 response time under the target, from HealthCheckHourly,
+ *   see lib/rollup.js
+ * Targets come from cfg.sla, per membership level of the member. Months are UTC.
+ * Windows without a verdict (no monitor reported) do not count against the member, nor do
+ * maintenance windows, see lib/maintenance.js
+ */
+class SlaEngine {
+  datastore = undefined
+
+  constructor({ datastore }) {
+    this.datastore = datastore
+  }
+
+  /**
+   * Targets for a membership level: cfg.sla, with cfg.sla.membershipLevels[id] on top
+   * @param {number} membershipLevelId
+   * @returns { availability, latencyMs, latencyCompliance }
+   */
+  targets(membershipLevelId) {
+    const { membershipLevels = {}, ...defaults } = cfg.sla || {}
+    return {
+      availability: 99,
+      latencyMs: 500,
+      latencyCompliance: 95,
+      ...defaults,
+      ...membershipLevels[membershipLevelId],
+    }
+  }
+
+  /**
+   * @param {string} month - YYYY-MM
+   * @returns { start, end } as Dates, or null when month is not valid
+   */
+  monthRange(month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '')
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null
+    const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1))
+    const end = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1))
+    return { start, end }
+  }
+
+  async _availability(start, end) {
+    return this.datastore.StatusHourly.findAll({
+      attributes: [
+        'memberId',
+        'serviceId',
+        [fn('SUM', col('successCount')), 'successWindows'],
+        [fn('SUM', col('warningCount')), 'warningWindows'],
+        [fn('SUM', col('errorCount')), 'errorWindows'],
+        [fn('SUM', col('maintenanceCount')), 'maintenanceWindows'],
+      ],
+      where: { hour: { [Op.gte]: start, [Op.lt]: end } },
+      group: ['memberId', 'serviceId'],
+      order: [],
+      raw: true,
+    })
+  }
+
+  // the latency target differs per level, so one query per target
+  async _latency(start, end, memberIds, latencyMs) {
+    return this.datastore.HealthCheckHourly.findAll({
+      attributes: [
+        'memberId',
+        'serviceId',
+        [fn('COUNT', col('id')), 'latencyHours'],
+        [
+          fn('SUM', literal(`CASE WHEN responseTimeP90 <= ${Number(latencyMs)} THEN 1 ELSE 0 END`)),
+          'latencyCompliantHours',
+        ],
+        [fn('SUM', literal('responseTimeAvg * checkCount')), 'responseTimeSum'],
+        [fn('SUM', col('checkCount')), 'checkCount'],
+      ],
+      where: {
+        memberId: { [Op.in]: memberIds },
+        type: 'service_check',
+        responseTimeP90: { [Op.ne]: null },
+        periodStart: { [Op.gte]: start, [Op.lt]: end },
+      },
+      group: ['memberId', 'serviceId'],
+      order: [],
+      raw: true,
+    })
+  }
+
+  /**
+   * The SLA report of a month
+   * @param {string} month - YYYY-MM
+   * @returns [{ memberId, serviceId, availability, latencyCompliance, met, ... }]
+   */
+  async report(month) {
+    const { start, end } = this.monthRange(month)
+    const members = await this.datastore.Member.findAll()
+    const availability = await this._availability(start, end)
+
+    // member ids per latency target
+    const byLatency = {}
+    for (let member of members) {
+      const { latencyMs } = this.targets(member.membershipLevelId)
+      byLatency[latencyMs] = byLatency[latencyMs] || []
+      byLatency[latencyMs].push(member.id)
+    }
+    const latency = {}
+    for (let [latencyMs, memberIds] of Object.entries(byLatency)) {
+      for (let row of await this._latency(start, end, memberIds, latencyMs)) {
+        latency[`${row.memberId}|${row.serviceId}`] = row
+      }
+    }
+
+    const rows = []
+    for (let row of availability) {
+      const member = members.find((m) => m.id === row.memberId)
+      if (!member) continue
+      const targets = this.targets(member.membershipLevelId)
+      const successWindows = Number(row.successWindows)
+      const warningWindows = Number(row.warningWindows)
+      const errorWindows = Number(row.errorWindows)
+      const windows = successWindows + warningWindows + errorWindows
+      const lat = latency[`${row.memberId}|${row.serviceId}`]
+      const latencyHours = Number(lat?.latencyHours || 0)
+      const latencyCompliantHours = Number(lat?.latencyCompliantHours || 0)
+      const record = {
+        month,
+        memberId: row.memberId,
+        serviceId: row.serviceId,
+        membershipLevelId: member.membershipLevelId,
+        windows,
+        successWindows,
+        warningWindows,
+        errorWindows,
+        maintenanceWindows: Number(row.maintenanceWindows),
+        availability: windows ? round(((windows - errorWindows) * 100) / windows) : null,
+        availabilityTarget: targets.availability,
+        latencyHours,
+        latencyCompliantHours,
+        latencyCompliance: latencyHours
+          ? round((latencyCompliantHours * 100) / latencyHours)
+          : null,
+        latencyComplianceTarget: targets.latencyCompliance,
+        latencyMs: targets.latencyMs,
+        responseTimeAvg: Number(lat?.checkCount)
+          ? round(Number(lat.responseTimeSum) / Number(lat.checkCount), 1)
+          : null,
+      }
+      record.availabilityMet =
+        record.availability !== null && record.availability >= targets.availability
+      // no latency data is not a breach, the availability covers an unreachable service
+      record.latencyMet =
+        record.latencyCompliance === null || record.latencyCompliance >= targets.latencyCompliance
+      record.met = record.availabilityMet && record.latencyMet
+      rows.push(record)
+    }
+    return rows.sort(
+      (a, b) => a.memberId.localeCompare(b.memberId) || a.serviceId.localeCompare(b.serviceId)
+    )
+  }
+
+  /**
+   * The report as CSV, one line per member/service
+   * @param {*} rows - see report()
+   */
+  toCsv(rows = []) {
+    const columns = [
+      'month',
+      'memberId',
+      'serviceId',
+      'membershipLevelId',
+      'windows',
+      'successWindows',
+      'warningWindows',
+      'errorWindows',
+      'maintenanceWindows',
+      'availability',
+      'availabilityTarget',
+      'availabilityMet',
+      'latencyHours',
+      'latencyCompliantHours',
+      'latencyCompliance',
+      'latencyComplianceTarget',
+      'latencyMs',
+      'latencyMet',
+      'responseTimeAvg',
+      'met',
+    ]
+    const escape = (value) => {
+      if (value === null || value === undefined) return ''
+      const str = String(value)
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+    }
+    const lines = [columns.join(',')]
+    rows.forEach((row) => lines.push(columns.map((c) => escape(row[c])).join(',')))
+    return lines.join('\n') + '\n'
+  }
+}
+
+export { SlaEngine }
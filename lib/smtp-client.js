@@ -0,0 +1,118 @@
+import net from 'node:net'
+import tls from 'node:tls'
+import os from 'node:os'
+
+/**
+ * Just enough SMTP to send a plain text mail: EHLO, STARTTLS, AUTH PLAIN, MAIL, RCPT and DATA.
+ * One connection per mail, alerts are few.
+ */
+
+// read replies, a reply ends with a line `<code> <text>` (multiline replies use `<code>-`)
+function replies(socket) {
+  var buffer = ''
+  var waiting = null
+  var closed = null
+  const queue = []
+  const onData = (data) => {
+    buffer += data.toString()
+    var match
+    while ((match = /^(\d{3}) .*\r?\n/m.exec(buffer))) {
+      const end = match.index + match[0].length
+      const reply = { code: Number(match[1]), text: buffer.slice(0, end).trim() }
+      buffer = buffer.slice(end)
+      if (waiting) {
+        waiting.resolve(reply)
+        waiting = null
+      } else queue.push(reply)
+    }
+  }
+  const onClose = (err) => {
+    closed = err instanceof Error ? err : new Error('SMTP connection closed')
+    if (waiting) waiting.reject(closed)
+    waiting = null
+  }
+  socket.on('data', onData)
+  socket.on('error', onClose)
+  socket.on('close', onClose)
+  return {
+    next: () => {
+      if (queue.length) return Promise.resolve(queue.shift())
+      if (closed) return Promise.reject(closed)
+      return new Promise((resolve, reject) => (waiting = { resolve, reject }))
+    },
+    // STARTTLS: the tls socket reads from here on
+    detach: () => socket.off('data', onData),
+  }
+}
+
+/**
+ * @param {*} options - { host, port, secure, starttls, user, password, timeout }
+ * @param {*} mail - { from, to: address | [address, ...], subject, text }
+ */
+async function sendMail(
+  {
+    host = 'localhost',
+    port = 587,
+    secure = false,
+    starttls = true,
+    user,
+    password,
+    timeout = 30 * 1000,
+  },
+  { from, to, subject, text }
+) {
+  var socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port })
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timeout: ${host}:${port}`)))
+  var reader = replies(socket)
+
+  const command = async (line, expect, name = line?.split(' ')[0] || 'greeting') => {
+    if (line !== null) socket.write(line + '\r\n')
+    const reply = await reader.next()
+    if (!expect.includes(reply.code)) throw new Error(`SMTP ${name}: ${reply.text}`)
+    return reply
+  }
+
+  try {
+    await command(null, [220])
+    var ehlo = await command(`EHLO ${os.hostname()}`, [250])
+    if (!secure && starttls && /STARTTLS/i.test(ehlo.text)) {
+      await command('STARTTLS', [220])
+      reader.detach()
+      socket = tls.connect({ socket, servername: host })
+      reader = replies(socket)
+      await new Promise((resolve, reject) => {
+        socket.once('secureConnect', resolve)
+        socket.once('error', reject)
+      })
+      ehlo = await command(`EHLO ${os.hostname()}`, [250])
+    }
+    if (user) {
+      const credentials = Buffer.from(`\u0000${user}\u0000${password || ''}`).toString('base64')
+      await command(`AUTH PLAIN ${credentials}`, [235])
+    }
+    await command(`MAIL FROM:<${from}>`, [250])
+    const recipients = [].concat(to)
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251])
+    }
+    await command('DATA', [354])
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      // dot-stuffing, a line with a single dot ends the data
+      ...text.split(/\r?\n/).map((line) => (line.startsWith('.') ? '.' + line : line)),
+      '.',
+    ].join('\r\n')
+    await command(message, [250], 'message')
+    await command('QUIT', [221]).catch(() => {})
+  } finally {
+    socket.destroy()
+  }
+}
+
+export { sendMail }
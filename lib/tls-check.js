@@ -0,0 +1,99 @@
+import net from 'node:net'
+import tls from 'node:tls'
+
+const DAY = 24 * 60 * 60 * 1000
+
+function commonName(entity = {}) {
+  return entity.CN || entity.O || null
+}
+
+/**
+ * Inspect the TLS certificate a member serves for `domain`.
+ * The connection goes to the member ip, with `domain` as SNI, so dns does not need to be pinned.
+ * The certificate is read even when it does not verify, the verification result is reported.
+ * @param {string} domain - e.g. rpc.dotters.network
+ * @param {string} ip - member.serviceIpAddress
+ * @param {*} options - { port, timeout }
+ * @returns { domain, ipAddress, authorized, authorizationError, hostnameMatch, subject, subjectAltNames, issuer, validFrom, validTo, daysToExpiry, fingerprint256, handshakeMs, error }
+ * @throws {TypeError} when `ip` is not an ip address, tls.connect() would resolve or default it
+ */
+function inspectCertificate(domain, ip, { port = 443, timeout = 10 * 1000 } = {}) {
+  if (!net.isIP(ip || '')) throw new TypeError(`Invalid ip address: ${ip}`)
+  const result = { domain, ipAddress: ip, authorized: false, hostnameMatch: false }
+  const start = performance.now()
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host: ip,
+      port,
+      servername: domain,
+      // verified below, so an invalid certificate can still be inspected
+      rejectUnauthorized: false,
+      timeout,
+    })
+    const done = (error) => {
+      if (error) result.error = error.message || error
+      socket.destroy()
+      resolve(result)
+    }
+    socket.once('secureConnect', () => {
+      result.handshakeMs = performance.now() - start
+      const cert = socket.getPeerCertificate()
+      if (!cert || !cert.subject) return done('No certificate')
+      result.authorized = socket.authorized
+      result.authorizationError = socket.authorizationError?.toString() || null
+      result.hostnameMatch = tls.checkServerIdentity(domain, cert) === undefined
+      result.subject = commonName(cert.subject)
+      result.subjectAltNames = (cert.subjectaltname || '')
+        .split(', ')
+        .filter((n) => n.startsWith('DNS:'))
+        .map((n) => n.slice(4))
+      result.issuer = commonName(cert.issuer)
+      result.validFrom = new Date(cert.valid_from).toISOString()
+      result.validTo = new Date(cert.valid_to).toISOString()
+      result.daysToExpiry = Math.floor((new Date(cert.valid_to).getTime() - Date.now()) / DAY)
+      result.fingerprint256 = cert.fingerprint256
+      done()
+    })
+    socket.once('timeout', () => done('Timeout'))
+    socket.once('error', done)
+  })
+}
+
+/**
+ * Status of an inspected certificate
+ * @param {*} cert - see inspectCertificate()
+ * @param {number} warningDays - expiry window that gives a warning
+ * @returns { status, reason }
+ */
+function certificateStatus(cert, warningDays = 14) {
+  if (cert.error) return { status: 'error', reason: 'tls_error' }
+  if (cert.daysToExpiry < 0) return { status: 'error', reason: 'tls_expired' }
+  if (!cert.hostnameMatch) return { status: 'error', reason: 'tls_hostname_mismatch' }
+  if (!cert.authorized) return { status: 'error', reason: 'tls_untrusted' }
+  if (cert.daysToExpiry <= warningDays) return { status: 'warning', reason: 'tls_expiry' }
+  return { status: 'success', reason: null }
+}
+
+/**
+ * Add an inspected certificate to the result of the wss check: an invalid certificate fails it,
+ * an expiring one gives a warning
+ * @param {*} result - { status, certDaysToExpiry, record } of the wss check, updated
+ * @param {*} cert - see inspectCertificate()
+ * @param {number} warningDays - see certificateStatus()
+ */
+function applyCertificate(result, cert, warningDays) {
+  result.record.tls = cert
+  result.certDaysToExpiry = cert.daysToExpiry ?? null
+  const { status, reason } = certificateStatus(cert, warningDays)
+  // a failed wss check has no reason yet, an invalid certificate explains it
+  if (status === 'error' && (result.status !== 'error' || !result.record.reason)) {
+    result.status = status
+    result.record.reason = reason
+  } else if (status === 'warning' && result.status === 'success') {
+    result.status = status
+    result.record.reason = reason
+  }
+  return result
+}
+
+export { inspectCertificate, certificateStatus, applyCertificate }
@@ -49,4 +49,18 @@ function shortStash(stash = '') {
   return stash.slice(0, 5) + '...' + stash.slice(-5)
 }
 
-export { asyncForeach, streamToString, stringToStream, shortStash }
+function median(values = []) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// nearest rank, q from 0 to 1
+function quantile(values = [], q = 0.5) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))]
+}
+
+export { asyncForeach, streamToString, stringToStream, shortStash, median, quantile }
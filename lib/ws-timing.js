@@ -0,0 +1,64 @@
+import https from 'node:https'
+import crypto from 'node:crypto'
+
+/**
+ * Connection phases of a wss endpoint, measured on a fresh connection:
+ * dns lookup, tcp connect, tls handshake and the websocket upgrade.
+ * WsProvider does not expose its socket, so checkService runs this next to it.
+ * @param {string} url - wss://domain/chainId
+ * @param {*} options - { timeout, lookup }, see lib/pinned-lookup.js for `lookup`
+ * @returns { dnsMs, tcpMs, tlsMs, wsUpgradeMs, error }
+ */
+function connectTiming(url, { timeout = 10 * 1000, lookup } = {}) {
+  const result = { dnsMs: null, tcpMs: null, tlsMs: null, wsUpgradeMs: null }
+  const start = performance.now()
+  var looked, connected, secured, finished
+  return new Promise((resolve) => {
+    const done = (error) => {
+      if (finished) return
+      finished = true
+      if (error) result.error = error.message || error
+      resolve(result)
+    }
+    const req = https.request(url.replace(/^wss:/, 'https:'), {
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+      },
+      timeout,
+      lookup,
+      agent: false,
+    })
+    req.on('socket', (socket) => {
+      socket.on('lookup', () => {
+        looked = performance.now()
+        result.dnsMs = looked - start
+      })
+      socket.on('connect', () => {
+        connected = performance.now()
+        result.tcpMs = connected - (looked || start)
+      })
+      socket.on('secureConnect', () => {
+        secured = performance.now()
+        result.tlsMs = secured - connected
+      })
+    })
+    req.on('upgrade', (res, socket) => {
+      result.wsUpgradeMs = performance.now() - secured
+      socket.destroy()
+      done()
+    })
+    req.on('response', (res) => {
+      res.resume()
+      req.destroy()
+      done(`HTTP ${res.statusCode}, expected 101 Switching Protocols`)
+    })
+    req.on('timeout', () => req.destroy(new Error('Timeout')))
+    req.on('error', done)
+    req.end()
+  })
+}
+
+export { connectTiming }
@@ -0,0 +1,39 @@
+import './dotenv.js'
+import axios from 'axios'
+import { createSigner, signEnvelope } from './lib/signed-message.js'
+import { config } from './config/config.js'
+import { config as configLocal } from './config/config.local.js'
+
+const cfg = Object.assign(config, configLocal)
+
+// announce a maintenance window of our member, signed with the cfg.signing key
+// usage: node maintenance-announce.js <startsAt> <endsAt> <reason> [serviceId...]
+// e.g. node maintenance-announce.js 2023-11-20T08:00:00Z 2023-11-20T09:00:00Z 'node upgrade'
+;(async () => {
+  const [startsAt, endsAt, reason, ...serviceIds] = process.argv.slice(2)
+  if (isNaN(new Date(startsAt)) || isNaN(new Date(endsAt))) {
+    console.warn('usage: node maintenance-announce.js <startsAt> <endsAt> <reason> [serviceId...]')
+    process.exit(1)
+  }
+  const signer = await createSigner(cfg.signing)
+  if (!signer) {
+    console.warn('Signing is not configured, see cfg.signing')
+    process.exit(1)
+  }
+  const envelope = signEnvelope(signer, 'maintenanceWindow', {
+    memberId: signer.memberId,
+    serviceIds: serviceIds.length ? serviceIds : null,
+    startsAt: new Date(startsAt).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    reason: reason || null,
+  })
+  const url = `http://localhost:${cfg.apiPort}/api/maintenance`
+  try {
+    const res = await axios.post(url, envelope)
+    console.log('Announced', res.data.model)
+    process.exit(0)
+  } catch (err) {
+    console.warn(`${url}: ${err.response?.data?.error || err.message}`)
+    process.exit(1)
+  }
+})()
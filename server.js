@@ -18,6 +18,13 @@ import { createEd25519PeerId, createFromJSON } from '@libp2p/peer-id-factory'
 import { DataStore } from './data/data-store.js'
 import { MessageHandler } from './lib/message-handler.js'
 import { HealthChecker } from './lib/health-checker.js'
+import { ConsensusEngine } from './lib/consensus-engine.js'
+import { IncidentTracker } from './lib/incident-tracker.js'
+import { AlertEngine } from './lib/alert-engine.js'
+import { Maintenance } from './lib/maintenance.js'
+import { createNotifiers } from './lib/notifiers.js'
+import { Scheduler } from './lib/scheduler.js'
+import { createSigner, registeredKeyStatus, signEnvelope } from './lib/signed-message.js'
 
 import { Job, QueueEvents, Queue } from 'bullmq'
 import { isIPv4, isIPv6 } from 'is-ip'
@@ -51,11 +58,13 @@ const jobRetention = {
 // not used, we listen on the port(s) in cfg.addresses
 // const GOSSIP_PORT = cfg.listenPort || 30000
 
-const UPDATE_INTERVAL = cfg.updateInterval || 5 * 60 * 1000 // 5 mins, in millis
-
 const ds = new DataStore({ pruning: cfg.pruning })
 const hc = new HealthChecker({ datastore: ds })
 const mh = new MessageHandler({ datastore: ds, api: hc })
+const ce = new ConsensusEngine({ datastore: ds })
+const it = new IncidentTracker({ datastore: ds })
+const ae = new AlertEngine({ datastore: ds, notifiers: createNotifiers(cfg.alerts?.channels) })
+const mt = new Maintenance({ datastore: ds })
 // const hh = new HttpHandler({ datastore: ds, version: pkg.version })
 
 ;(async () => {
@@ -79,6 +88,20 @@ const mh = new MessageHandler({ datastore: ds, api: hc })
   }
   console.debug('Our monitorId', peerId.toString())
 
+  // sign our results with the member key
+  const signer = await createSigner(cfg.signing)
+  if (signer) {
+    // other monitors only trust our results when members.json has our key
+    const member = await ds.Member.findByPk(signer.memberId)
+    const keyStatus = registeredKeyStatus(signer, member?.publicKey)
+    if (keyStatus !== 'valid') {
+      console.warn(
+        `Signing key ${signer.pair.address} is not the public_key of ${signer.memberId}`,
+        `in members.json (${keyStatus})`
+      )
+    }
+  }
+
   const gsub = gossipsub({
     emitSelf: false, // don't want our own pubsub messages
     gossipIncoming: true,
@@ -229,39 +252,60 @@ const mh = new MessageHandler({ datastore: ds, api: hc })
   // publish the results of our checkService via libp2p
   const checkServiceQueue = new Queue('checkService', queueOpts)
   const checkServiceEvents = new QueueEvents('checkService', queueOpts)
-  const handleCheckServiceResult = async ({ jobId }) => {
-    const job = await Job.fromId(checkServiceQueue, jobId)
-    console.log('handleCheckServiceResult', jobId, JSON.stringify(job.returnvalue))
+  const checkBootnodeQueue = new Queue('checkBootnode', queueOpts)
+  const checkBootnodeEvents = new QueueEvents('checkBootnode', queueOpts)
+  const syncMembersQueue = new Queue('syncMembers', queueOpts)
+  const pruneDataQueue = new Queue('pruneData', queueOpts)
+  const syncMembersEvents = new QueueEvents('syncMembers', queueOpts)
+  const handleCheckResult = async (queue, jobId) => {
+    const job = await Job.fromId(queue, jobId)
+    console.log('handleCheckResult', queue.name, jobId, JSON.stringify(job.returnvalue))
     if (!job.returnvalue) {
       return
     }
-    const { member, service } = job.data
     const result = job.returnvalue
+    const { memberId, serviceId } = result
     // we could get hc for monitor that has not connected yet
     if (result.monitorId) {
       let monitor = await ds.Monitor.upsert({ id: result.monitorId, multiaddress: [], status: 'active' }, { fields: ['status'] });
     }
     // upsert member service node
     if (result.peerId) {
-      let memberService = await ds.MemberService.findOne({ where: { serviceId: service.id } })
+      let memberService = await ds.MemberService.findOne({ where: { serviceId } })
       // FIXME: we need to add a memberService from the memnbers.json file
       if (!memberService) { 
-        console.error('No memberService for', member.id, service.id);
+        console.error('No memberService for', memberId, serviceId);
         return;
       }
       await ds.MemberServiceNode.upsert({
         peerId: result.peerId,
-        serviceId: service.id,
-        memberId: member.id,
+        serviceId,
+        memberId,
         name: null,
         status: 'active',
       }, { fields: ['status'] })
     }
     // insert health check
     await ds.HealthCheck.create(result)
-    if (cfg.gossipResults) {
+    if (cfg.gossipResults && signer) {
       console.debug(
-        `[gossip] publishing healthCheck: ${member.id} ${service.id} to /ibp/healthCheck`
+        `[gossip] publishing healthCheck: ${memberId} ${serviceId} to /ibp/signedMessage`
+      )
+      // monitorId and signedAt bind the signature to us and now, see MessageHandler.checkReplay()
+      const payload = {
+        ...result,
+        monitorId: peerId.toString(),
+        signedAt: new Date().toISOString(),
+      }
+      const res = await libp2p.pubsub.publish(
+        '/ibp/signedMessage',
+        uint8ArrayFromString(JSON.stringify(signEnvelope(signer, 'healthCheck', payload)))
+      )
+      // debug recipient list
+      console.debug(res)
+    } else if (cfg.gossipResults) {
+      console.debug(
+        `[gossip] publishing healthCheck: ${memberId} ${serviceId} to /ibp/healthCheck`
       )
       const res = await libp2p.pubsub.publish(
         '/ibp/healthCheck',
@@ -271,6 +315,9 @@ const mh = new MessageHandler({ datastore: ds, api: hc })
       console.debug(res)
     }
   }
+  const handleCheckServiceResult = async ({ jobId }) => handleCheckResult(checkServiceQueue, jobId)
+  const handleCheckBootnodeResult = async ({ jobId }) =>
+    handleCheckResult(checkBootnodeQueue, jobId)
   checkServiceQueue.on('completed', handleCheckServiceResult)
   checkServiceQueue.on('error', (args) => {
     console.log('Check service queue error', args)
@@ -279,63 +326,67 @@ const mh = new MessageHandler({ datastore: ds, api: hc })
     console.log('Queue failed', event, listener, id)
   })
   checkServiceEvents.on('completed', handleCheckServiceResult)
+  checkBootnodeEvents.on('completed', handleCheckBootnodeResult)
 
-  async function checkServiceJobs() {
-    // from now on all monitors check all services
-    const services = await ds.Service.findAll({
-      where: { type: 'rpc', status: 'active' },
-      include: ['membershipLevel'],
-    })
-    const members = await ds.Member.findAll({
-      where: { status: 'active' },
-      include: ['membershipLevel'],
-    })
-    for (let service of services) {
-      for (let member of members) {
-        if (member.membershipLevelId < service.membershipLevelId) {
-          continue
-        }
-        const activeJobs = await checkServiceQueue.getActive()
-        const waitingJobs = await checkServiceQueue.getWaiting()
-        const activeJob = activeJobs.find(
-          (j) => j.data.service.id === service.id && j.data.member.id === member.id
-        )
-        const waitingJob = waitingJobs.find(
-          (j) => j.data.service.id === service.id && j.data.member.id === member.id
-        )
-        if (activeJob) {
-          console.warn('WARNING: active job, skipping check for ', member.id, service.id)
-        } else if (waitingJob) {
-          console.warn('WARNING: waiting job, skipping check for ', member.id, service.id)
-        } else {
-          console.debug('Creating new [checkService] job for', member.id, service.id)
-          checkServiceQueue.add(
-            'checkService',
-            {
-              subdomain: service.membershipLevel.subdomain,
-              member,
-              service,
-              monitorId: peerId.toString(),
-            },
-            { repeat: false, ...jobRetention }
+  // checks run as repeatable jobs, one per member and service, see lib/scheduler.js
+  const scheduler = new Scheduler({
+    datastore: ds,
+    queues: {
+      checkService: checkServiceQueue,
+      checkBootnode: checkBootnodeQueue,
+      syncMembers: syncMembersQueue,
+      pruneData: pruneDataQueue,
+    },
+    monitorId: peerId.toString(),
+    jobOptions: jobRetention,
+  })
+  await scheduler.sync()
+  // members.json changes members, services and bootnodes
+  syncMembersEvents.on('completed', async () => {
+    try {
+      await scheduler.sync()
+    } catch (err) {
+      console.error('scheduler.sync() after syncMembers failed', err)
+    }
+  })
+
+  // combine the results of all monitors, then track incidents and alert on the verdicts
+  const updateConsensus = async () => {
+    try {
+      await ce.update()
+      await it.update()
+      if (cfg.alerts?.enabled) await ae.evaluate()
+    } catch (err) {
+      // try again on the next interval
+      console.error('updateConsensus failed', err)
+    }
+  }
+  await updateConsensus()
+  setInterval(updateConsensus, cfg.consensus.interval * 1000)
+
+  // relay the maintenance windows our member announced, monitors that join later get them too
+  if (signer) {
+    const relayMaintenance = async () => {
+      var envelopes = []
+      try {
+        envelopes = await mt.announcements(signer.memberId)
+      } catch (err) {
+        console.error('relayMaintenance: announcements failed', err)
+      }
+      for (const envelope of envelopes) {
+        console.debug(`[gossip] publishing maintenanceWindow: ${envelope.signerId}`)
+        try {
+          await libp2p.pubsub.publish(
+            '/ibp/signedMessage',
+            uint8ArrayFromString(JSON.stringify(envelope))
           )
+        } catch (err) {
+          // e.g. no peers subscribed yet, relayed again on the next interval
+          console.warn('relayMaintenance: publishing failed', err.message)
         }
       }
     }
+    await relayMaintenance()
+    setInterval(relayMaintenance, (cfg.maintenance?.relayInterval || 15 * 60) * 1000)
   }
-
-  console.log(`UPDATE_INTERVAL: ${UPDATE_INTERVAL / 1000} seconds`)
-
-  // TODO: move healthCheckJobs to worker
-  // if cfg.gossipResults, results will be broadcast to all peers
-  await checkServiceJobs()
-  setInterval(async function () {
-    await checkServiceJobs()
-  }, UPDATE_INTERVAL)
-
-  // TODO move pruning to worker
-  // pruning
-  setInterval(async () => {
-    await ds.prune()
-  }, cfg.pruning.interval * 1000)
 })()
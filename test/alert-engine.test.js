@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { AlertEngine } from '../lib/alert-engine.js'
+
+// checks of metaspan/polkadot-rpc, as [monitor member, responseTimeMs]
+function fakeDatastore(checks = [], alerts = []) {
+  return {
+    Alert: {
+      findAll: async ({ where }) =>
+        alerts.filter((a) => a.rule === where.rule && a.status === where.status),
+    },
+    MaintenanceWindow: { findAll: async () => [] },
+    Member: { findAll: async () => [{ id: 'metaspan', membershipLevelId: 1 }] },
+    HealthCheck: {
+      findAll: async () =>
+        checks.map(([monitor, responseTimeMs], i) => ({
+          monitorId: `${monitor}-${i}`,
+          memberId: 'metaspan',
+          serviceId: 'polkadot-rpc',
+          responseTimeMs,
+          monitor: { memberId: monitor },
+        })),
+    },
+  }
+}
+
+function engine(checks, { alerts: rows, notifiers } = {}) {
+  const alerts = new AlertEngine({ datastore: fakeDatastore(checks, rows), notifiers })
+  Object.assign(alerts._consensus, { quorum: 0.5, minMonitors: 2 })
+  return alerts
+}
+
+const rule = { name: 'slow', type: 'latency', minutes: 15, latencyMs: 500 }
+
+test('one monitor with a slow path does not fire the latency rule', async () => {
+  const alerts = engine([
+    ['dotters', 900],
+    ['dotters', 950],
+    ['dotters', 990],
+    ['gatotech', 120],
+    ['stakeplus', 130],
+  ])
+  const conditions = await alerts._latencyConditions(rule)
+  const condition = conditions['metaspan|polkadot-rpc']
+  assert.equal(condition.firing, false)
+  assert.equal(condition.message, '1 of 3 monitors over 500 ms in 15 minutes')
+})
+
+test('a quorum of slow monitors fires the latency rule', async () => {
+  const alerts = engine([
+    ['dotters', 900],
+    ['gatotech', 700],
+    ['gatotech', 800],
+    ['stakeplus', 130],
+  ])
+  const conditions = await alerts._latencyConditions(rule)
+  assert.equal(conditions['metaspan|polkadot-rpc'].firing, true)
+})
+
+test('an alert stays firing until its recovery notice is sent', async () => {
+  const alert = {
+    rule: 'slow',
+    memberId: 'metaspan',
+    serviceId: 'polkadot-rpc',
+    status: 'firing',
+    notifiedAt: new Date(),
+    resolvedAt: null,
+    update: async (values) => Object.assign(alert, values),
+  }
+  var up = false
+  const notices = []
+  const matrix = {
+    send: async (notice) => {
+      if (!up) throw new Error('matrix is down')
+      notices.push(notice)
+    },
+  }
+  const checks = [
+    ['dotters', 120],
+    ['gatotech', 130],
+  ]
+  const alerts = engine(checks, { alerts: [alert], notifiers: { matrix } })
+  await alerts._evaluateRule(rule)
+  assert.equal(alert.status, 'firing')
+  const resolvedAt = alert.resolvedAt
+  assert.ok(resolvedAt)
+  up = true
+  assert.deepEqual(await alerts._evaluateRule(rule), { fired: 0, resolved: 1, notified: 1 })
+  assert.equal(alert.status, 'resolved')
+  assert.equal(notices[0].kind, 'resolved')
+  assert.equal(notices[0].resolvedAt, resolvedAt)
+})
@@ -0,0 +1,100 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Op } from 'sequelize'
+
+import { ConsensusEngine } from '../lib/consensus-engine.js'
+
+const engine = new ConsensusEngine({ datastore: {} })
+engine.quorum = 0.5
+engine.minMonitors = 2
+
+const status = (statuses) => engine.verdict(statuses).status
+
+test('one monitor can not decide', () => {
+  assert.equal(status(['error']), 'success')
+})
+
+test('1 error of 2 monitors is no error', () => {
+  assert.equal(status(['error', 'success']), 'success')
+  assert.equal(status(['warning', 'success']), 'success')
+})
+
+test('2 of 2 monitors decide', () => {
+  assert.equal(status(['error', 'error']), 'error')
+  assert.equal(status(['error', 'warning']), 'warning')
+})
+
+test('a strict majority decides', () => {
+  assert.equal(status(['error', 'error', 'success']), 'error')
+  assert.equal(status(['error', 'error', 'success', 'success']), 'success')
+  assert.equal(status(['error', 'error', 'error', 'success']), 'error')
+})
+
+test('the quorum needs more than quorum * monitors, and at least minMonitors', () => {
+  const strict = new ConsensusEngine({ datastore: {} })
+  Object.assign(strict, { quorum: 0.66, minMonitors: 3 })
+  // max(3, floor(0.66 * n) + 1)
+  for (const [monitorCount, needed] of [
+    [1, 3],
+    [3, 3],
+    [5, 4],
+    [10, 7],
+  ]) {
+    const statuses = (errors) =>
+      Array.from({ length: monitorCount }, (_, i) => (i < errors ? 'error' : 'success'))
+    if (needed <= monitorCount) assert.equal(strict.verdict(statuses(needed)).status, 'error')
+    assert.equal(strict.verdict(statuses(needed - 1)).status, 'success')
+  }
+})
+
+test('a window with only maintenance checks gets the verdict maintenance', async () => {
+  const windowStart = engine.windowStart(new Date('2023-11-20T08:00:00Z'))
+  const createdAt = new Date(windowStart.getTime() + 60 * 1000)
+  const check = (monitorId, serviceId, status) => ({
+    monitorId,
+    memberId: 'metaspan',
+    serviceId,
+    status,
+    maintenance: false,
+    createdAt,
+    monitor: { memberId: monitorId },
+  })
+  const checks = [
+    check('dotters', 'polkadot-rpc', 'error'),
+    check('gatotech', 'polkadot-rpc', 'error'),
+    check('dotters', 'kusama-rpc', 'error'),
+    check('gatotech', 'kusama-rpc', 'error'),
+  ]
+  const verdicts = []
+  const datastore = {
+    MaintenanceWindow: {
+      findAll: async () => [
+        {
+          memberId: 'metaspan',
+          serviceIds: ['polkadot-rpc'],
+          source: 'operator',
+          startsAt: windowStart,
+          endsAt: new Date(windowStart.getTime() + 60 * 60 * 1000),
+        },
+      ],
+    },
+    HealthCheck: {
+      findAll: async () => checks,
+      update: async (values, { where }) => {
+        const tagged = checks.filter(
+          (c) => c.memberId === where.memberId && where.serviceId[Op.in].includes(c.serviceId)
+        )
+        tagged.forEach((c) => Object.assign(c, values))
+        return [tagged.length]
+      },
+    },
+    Consensus: { upsert: async (verdict) => verdicts.push(verdict) },
+  }
+  const consensus = new ConsensusEngine({ datastore })
+  Object.assign(consensus, { quorum: 0.5, minMonitors: 2 })
+  assert.equal(await consensus.computeWindow(windowStart), 2)
+  const verdict = (serviceId) => verdicts.find((v) => v.serviceId === serviceId)
+  assert.equal(verdict('polkadot-rpc').status, 'maintenance')
+  assert.equal(verdict('polkadot-rpc').monitorCount, 0)
+  assert.equal(verdict('kusama-rpc').status, 'error')
+})
@@ -0,0 +1,25 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { applyHttpCheck } from '../lib/http-rpc-check.js'
+
+const wss = (status, reason) => ({ status, record: reason ? { reason } : {} })
+const failed = { ok: false, error: 'HTTP 502' }
+
+test('a failed https check downgrades a passed wss check to the severity', () => {
+  assert.deepEqual(applyHttpCheck(wss('success'), failed), {
+    status: 'warning',
+    record: { http: failed, reason: 'http_error' },
+  })
+  assert.equal(applyHttpCheck(wss('success'), failed, 'error').status, 'error')
+  assert.equal(applyHttpCheck(wss('success'), { ok: true }).status, 'success')
+})
+
+test('a failed https check keeps the reason of a failed wss check', () => {
+  const error = applyHttpCheck(wss('error', 'genesis_mismatch'), failed)
+  assert.equal(error.status, 'error')
+  assert.equal(error.record.reason, 'genesis_mismatch')
+  const warning = applyHttpCheck(wss('warning', 'best_block_lag'), failed)
+  assert.equal(warning.status, 'warning')
+  assert.equal(warning.record.reason, 'best_block_lag')
+})
@@ -0,0 +1,118 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Op } from 'sequelize'
+
+import { Maintenance } from '../lib/maintenance.js'
+
+const hour = 60 * 60 * 1000
+const now = Date.now()
+const at = (hours) => new Date(now + hours * hour)
+
+// MaintenanceWindow with the where clauses Maintenance uses
+function fakeDatastore(windows = []) {
+  return {
+    windows,
+    Member: { findByPk: async (id) => ({ id }) },
+    HealthCheck: { update: async () => [0] },
+    MaintenanceWindow: {
+      findOne: async ({ where }) => windows.find((w) => w.signature === where.signature) || null,
+      findAll: async ({ where }) => {
+        const { [Op.lt]: before, [Op.lte]: until } = where.startsAt || {}
+        return windows.filter(
+          (w) =>
+            (!where.memberId || w.memberId === where.memberId) &&
+            (!before || w.startsAt < before) &&
+            (!until || w.startsAt <= until) &&
+            (!where.endsAt || w.endsAt > where.endsAt[Op.gt])
+        )
+      },
+      create: async (window) => {
+        const created = { id: windows.length + 1, createdAt: new Date(), ...window }
+        windows.push(created)
+        return created
+      },
+    },
+  }
+}
+
+function maintenance(windows) {
+  const mt = new Maintenance({ datastore: fakeDatastore(windows) })
+  Object.assign(mt, {
+    maxDuration: 24 * 60 * 60,
+    minNotice: 60 * 60,
+    budget: 48 * 60 * 60,
+    budgetPeriod: 30 * 24 * 60 * 60,
+  })
+  return mt
+}
+
+const window = (startsAt, endsAt, extra = {}) => ({
+  memberId: 'metaspan',
+  serviceIds: null,
+  startsAt,
+  endsAt,
+  reason: 'upgrade',
+  ...extra,
+})
+
+test('validate', () => {
+  const mt = maintenance()
+  assert.equal(mt.validate(window(at(2), at(3))), null)
+  assert.match(mt.validate(window(at(3), at(2))), /after startsAt/)
+  assert.match(mt.validate(window(at(2), at(27))), /longer than/)
+  assert.match(mt.validate(window('soon', at(3))), /must be dates/)
+  assert.match(mt.validate({ ...window(at(2), at(3)), serviceIds: 'all' }), /serviceIds/)
+})
+
+test('a member announces ahead of the window, an operator does not', async () => {
+  const mt = maintenance()
+  const { error } = await mt.create(window(at(0.5), at(2)), { source: 'member' })
+  assert.match(error, /announced at least/)
+  assert.equal((await mt.create(window(at(0.5), at(2)), { source: 'operator' })).created, true)
+  assert.equal((await mt.create(window(at(3), at(4)), { source: 'member' })).created, true)
+})
+
+test('windows of a member can not overlap on a service', async () => {
+  const mt = maintenance()
+  await mt.create(window(at(2), at(4), { serviceIds: ['polkadot-rpc'] }), { source: 'member' })
+  const overlap = await mt.create(window(at(3), at(5)), { source: 'member' })
+  assert.match(overlap.error, /overlaps window 1/)
+  const other = await mt.create(window(at(3), at(5), { serviceIds: ['kusama-rpc'] }), {
+    source: 'member',
+  })
+  assert.equal(other.created, true)
+  const otherMember = await mt.create(window(at(3), at(5), { memberId: 'stakeplus' }), {
+    source: 'member',
+  })
+  assert.equal(otherMember.created, true)
+})
+
+test('back to back windows run out of budget', async () => {
+  const mt = maintenance()
+  assert.equal((await mt.create(window(at(2), at(26)), { source: 'member' })).created, true)
+  assert.equal((await mt.create(window(at(26), at(50)), { source: 'member' })).created, true)
+  const { error } = await mt.create(window(at(50), at(51)), { source: 'member' })
+  assert.match(error, /over the budget/)
+  // operator windows do not count
+  assert.equal((await mt.create(window(at(60), at(61)), { source: 'operator' })).created, true)
+})
+
+test('a relayed announcement is not checked again', async () => {
+  const mt = maintenance()
+  const envelope = { type: 'maintenanceWindow', signerId: 'metaspan', signature: '0x01' }
+  const first = await mt.create(window(at(2), at(3)), { source: 'member', envelope })
+  assert.equal(first.created, true)
+  // relayed after it started, within the notice and overlapping itself
+  const again = await mt.create(window(at(2), at(3)), { source: 'member', envelope })
+  assert.equal(again.created, false)
+  assert.equal(again.window.id, first.window.id)
+})
+
+test('covers', () => {
+  const mt = maintenance()
+  const w = window(at(-1), at(1), { serviceIds: JSON.stringify(['polkadot-rpc']) })
+  assert.equal(mt.covers(w, 'metaspan', 'polkadot-rpc', new Date(now)), true)
+  assert.equal(mt.covers(w, 'metaspan', 'kusama-rpc', new Date(now)), false)
+  assert.equal(mt.covers(w, 'stakeplus', 'polkadot-rpc', new Date(now)), false)
+  assert.equal(mt.covers(w, 'metaspan', 'polkadot-rpc', at(2)), false)
+})
@@ -0,0 +1,86 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MessageHandler } from '../lib/message-handler.js'
+import { createSigner, signEnvelope } from '../lib/signed-message.js'
+
+// a datastore that records what the handler writes
+function fakeDatastore() {
+  const writes = { monitors: [], healthChecks: [], decisions: [] }
+  const datastore = {
+    writes,
+    Monitor: {
+      findByPk: async (id) => writes.monitors.find((m) => m.id === id) || null,
+      create: async (monitor) => writes.monitors.push(monitor),
+    },
+    Member: { findByPk: async () => null },
+    MemberService: { findOne: async () => null },
+    MemberServiceNode: { findByPk: async () => ({}) },
+    HealthCheck: {
+      create: async (healthCheck) => {
+        writes.healthChecks.push(healthCheck)
+        return { id: writes.healthChecks.length, ...healthCheck }
+      },
+    },
+    GossipDecision: { create: async (decision) => writes.decisions.push(decision) },
+  }
+  return datastore
+}
+
+const healthCheck = { memberId: 'metaspan', serviceId: 'polkadot-rpc', status: 'success' }
+
+test('a quarantined peer gets no monitor row', async () => {
+  const datastore = fakeDatastore()
+  const mh = new MessageHandler({ datastore })
+  mh.checkMonitor = async () => ({ decision: 'quarantine', reason: 'unknown_monitor' })
+  await mh.handleHealthCheck('12D3KooWunknown', healthCheck)
+  assert.equal(datastore.writes.monitors.length, 0)
+  assert.equal(datastore.writes.healthChecks.length, 0)
+  assert.equal(datastore.writes.decisions[0].decision, 'quarantine')
+})
+
+test('an accepted peer gets a monitor row', async () => {
+  const datastore = fakeDatastore()
+  const mh = new MessageHandler({ datastore })
+  mh.checkMonitor = async () => ({ decision: 'accept', reason: 'known_peer' })
+  await mh.handleHealthCheck('12D3KooWknown', healthCheck)
+  assert.deepEqual(
+    datastore.writes.monitors.map((m) => m.id),
+    ['12D3KooWknown']
+  )
+})
+
+test('a result signed with the registered key is accepted from an unknown peer', async () => {
+  const datastore = fakeDatastore()
+  // members.json public_key of metaspan, the //Alice development key
+  const member = { id: 'metaspan', publicKey: '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY' }
+  datastore.Member.findByPk = async (id) => (id === member.id ? member : null)
+  const mh = new MessageHandler({ datastore })
+  mh.checkMonitor = async () => ({ decision: 'quarantine', reason: 'unknown_monitor' })
+  const signer = await createSigner({ memberId: 'metaspan', type: 'sr25519', suri: '//Alice' })
+  const payload = { ...healthCheck, monitorId: '12D3KooWother', signedAt: new Date() }
+  await mh.handleSignedMessage('12D3KooWother', signEnvelope(signer, 'healthCheck', payload))
+  assert.equal(datastore.writes.healthChecks.length, 1)
+  assert.equal(datastore.writes.healthChecks[0].signerId, 'metaspan')
+  assert.equal(datastore.writes.healthChecks[0].signatureStatus, 'valid')
+})
+
+test('gossip can not set local columns', async () => {
+  const datastore = fakeDatastore()
+  const mh = new MessageHandler({ datastore })
+  mh.checkMonitor = async () => ({ decision: 'accept', reason: 'known_peer' })
+  const createdAt = '2020-01-01T00:00:00Z'
+  await mh.handleHealthCheck('12D3KooWknown', {
+    ...healthCheck,
+    id: 42,
+    createdAt,
+    updatedAt: createdAt,
+    maintenance: true,
+  })
+  const [stored] = datastore.writes.healthChecks
+  assert.equal(stored.maintenance, false)
+  assert.equal(stored.id, undefined)
+  assert.equal(stored.createdAt, undefined)
+  assert.equal(stored.updatedAt, undefined)
+  assert.equal(stored.memberId, 'metaspan')
+})
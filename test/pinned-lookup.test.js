@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+import { pinnedLookup, withPinnedLookup } from '../lib/pinned-lookup.js'
+
+const domain = 'rpc.pinned.test'
+
+// answers with the address it was reached on
+function listen(host, port = 0) {
+  const server = http.createServer((req, res) => res.end(req.socket.localAddress))
+  return new Promise((resolve) => server.listen(port, host, () => resolve(server)))
+}
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { agent: false }, (res) => {
+        var body = ''
+        res.on('data', (chunk) => (body += chunk))
+        res.on('end', () => resolve(body))
+      })
+      .on('error', reject)
+  })
+}
+
+test('concurrent dials of one domain each reach their own ip', async () => {
+  const ips = ['127.0.0.1', '127.0.0.2', '127.0.0.3']
+  // one port for all, only the ip decides where a dial lands
+  const servers = [await listen(ips[0])]
+  const port = servers[0].address().port
+  for (const ip of ips.slice(1)) servers.push(await listen(ip, port))
+  try {
+    const dials = []
+    for (let i = 0; i < 30; i++) {
+      const ip = ips[i % ips.length]
+      // interleave the checks: a delay before and between dials, like a check with retries
+      dials.push(
+        withPinnedLookup(pinnedLookup(domain, ip), async () => {
+          await sleep(Math.random() * 20)
+          const first = await get(`http://${domain}:${port}/`)
+          await sleep(Math.random() * 20)
+          const second = await get(`http://${domain}:${port}/`)
+          return { ip, first, second }
+        })
+      )
+    }
+    for (const { ip, first, second } of await Promise.all(dials)) {
+      assert.equal(first, ip)
+      assert.equal(second, ip)
+    }
+  } finally {
+    servers.forEach((s) => s.close())
+  }
+})
@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { PrometheusExporter } from '../lib/prometheus-exporter.js'
+
+const windowStart = new Date('2023-11-20T08:00:00Z')
+const verdicts = [
+  { memberId: 'metaspan', status: 'success', monitorCount: 3, windowStart },
+  { memberId: 'stakeplus', status: 'maintenance', monitorCount: 0, windowStart },
+]
+const datastore = {
+  Service: { findByPk: async (id) => ({ id }) },
+  HealthCheck: { findAll: async () => [] },
+  Consensus: {
+    findOne: async () => verdicts[0],
+    findAll: async () => verdicts,
+  },
+}
+
+test('a maintenance verdict renders as 3', async () => {
+  const text = await new PrometheusExporter(datastore).export('polkadot-rpc')
+  const lines = text.split('\n')
+  assert.ok(
+    lines.includes('ibp_service_consensus_status{serviceId="polkadot-rpc", memberId="stakeplus"} 3')
+  )
+  assert.ok(
+    lines
+      .find((l) => l.startsWith('# HELP ibp_service_consensus_status'))
+      .includes('3: maintenance')
+  )
+  // every sample has a number
+  for (const line of lines.filter((l) => l && !l.startsWith('#'))) {
+    assert.match(line, / -?\d+(\.\d+)?(e[-+]\d+)?$/, line)
+  }
+})
@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { config } from '../config/config.js'
+import { retry, retryPolicy, RetryError } from '../lib/retry.js'
+
+test('a service policy wins over its chain, over the default', () => {
+  const saved = config.retry
+  config.retry = {
+    default: { retries: 2, interval: 1000 },
+    chains: { kusama: { retries: 4, backoff: 2 } },
+    services: { 'kusama-rpc': { retries: 1 } },
+  }
+  try {
+    assert.deepEqual(retryPolicy({ id: 'kusama-rpc', chainId: 'kusama' }), {
+      retries: 1,
+      interval: 1000,
+      backoff: 2,
+      maxInterval: 60 * 1000,
+    })
+    assert.equal(retryPolicy({ id: 'kusama-bootnode', chainId: 'kusama' }).retries, 4)
+    assert.equal(retryPolicy({ id: 'polkadot-rpc', chainId: 'polkadot' }).retries, 2)
+  } finally {
+    config.retry = saved
+  }
+})
+
+test('the attempts of a check that passes on a retry', async () => {
+  const policy = { retries: 3, interval: 1, backoff: 1, maxInterval: 1 }
+  const { result, attempts } = await retry(async (attempt) => {
+    attempt.phase = 'rpc'
+    if (attempt.attempt < 2) throw new Error('No response received')
+    return 'ok'
+  }, policy)
+  assert.equal(result, 'ok')
+  assert.deepEqual(
+    attempts.map(({ attempt, phase, error }) => [attempt, phase, error?.message || null]),
+    [
+      [1, 'rpc', 'No response received'],
+      [2, 'rpc', null],
+    ]
+  )
+})
+
+test('the waits grow by backoff up to maxInterval', async (t) => {
+  // no waiting, only the delays
+  const waits = []
+  t.mock.method(globalThis, 'setTimeout', (resolve, ms) => {
+    waits.push(ms)
+    resolve()
+  })
+  const policy = { retries: 4, interval: 20, backoff: 2, maxInterval: 50 }
+  const failed = []
+  const err = await retry(
+    async () => {
+      throw new Error('ECONNREFUSED')
+    },
+    policy,
+    { onError: (attempt) => failed.push(attempt.attempt) }
+  ).catch((err) => err)
+  assert.deepEqual(waits, [20, 40, 50, 50])
+  assert.deepEqual(failed, [1, 2, 3, 4, 5])
+  assert.ok(err instanceof RetryError)
+  assert.equal(err.attempts.length, 5)
+  // the error of the last attempt, not 'Max retries exceeded'
+  assert.equal(err.cause, err.attempts[4].error)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MemberRegistry } from '../lib/member-registry.js'
+import {
+  createSigner,
+  registeredKeyStatus,
+  signEnvelope,
+  verifyEnvelope,
+} from '../lib/signed-message.js'
+
+// the well known development key, //Alice
+const suri = '//Alice'
+const address = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY'
+const hex = '0xd43593c715fdd31c61141abd04a99fd6822c8558854ccde39a5684e7a56da27d'
+
+// public_key as registered in members.json
+async function registeredKey(publicKey) {
+  const registry = new MemberRegistry({ datastore: { Service: { findAll: async () => [] } } })
+  const desired = await registry._desired({
+    members: { metaspan: { current_level: 1, active: 1, public_key: publicKey } },
+  })
+  return desired.metaspan.record.publicKey
+}
+
+test('members.json public_key verifies an envelope, as ss58 address or hex', async () => {
+  const signer = await createSigner({ memberId: 'metaspan', type: 'sr25519', suri })
+  const envelope = signEnvelope(signer, 'healthCheck', { status: 'success' })
+  assert.equal(await verifyEnvelope(envelope, await registeredKey(address)), 'valid')
+  assert.equal(await verifyEnvelope(envelope, await registeredKey(hex)), 'valid')
+  assert.equal(registeredKeyStatus(signer, address), 'valid')
+  assert.equal(registeredKeyStatus(signer, hex), 'valid')
+})
+
+test('a changed payload or another key is invalid', async () => {
+  const signer = await createSigner({ memberId: 'metaspan', type: 'sr25519', suri })
+  const bob = await createSigner({ memberId: 'metaspan', type: 'sr25519', suri: '//Bob' })
+  const envelope = signEnvelope(signer, 'healthCheck', { status: 'error' })
+  const changed = { ...envelope, payload: JSON.stringify({ status: 'success' }) }
+  assert.equal(await verifyEnvelope(changed, address), 'invalid')
+  assert.equal(await verifyEnvelope(signEnvelope(bob, 'healthCheck', {}), address), 'invalid')
+  assert.equal(registeredKeyStatus(bob, address), 'mismatch')
+})
+
+test('a member without public_key is unknown_key', async () => {
+  const signer = await createSigner({ memberId: 'metaspan', type: 'ed25519', suri })
+  const envelope = signEnvelope(signer, 'healthCheck', {})
+  assert.equal(await registeredKey(undefined), null)
+  assert.equal(await verifyEnvelope(envelope, null), 'unknown_key')
+  assert.equal(registeredKeyStatus(signer, null), 'unknown_key')
+})
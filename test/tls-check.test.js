@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { inspectCertificate, applyCertificate } from '../lib/tls-check.js'
+
+test('a missing or invalid member ip throws before dialing', () => {
+  for (const ip of [null, undefined, '', 'rpc.dotters.network']) {
+    assert.throws(() => inspectCertificate('rpc.dotters.network', ip), TypeError)
+  }
+})
+
+const wss = (status, reason) => ({ status, record: reason ? { reason } : {} })
+const cert = (daysToExpiry, extra = {}) => ({
+  authorized: true,
+  hostnameMatch: true,
+  daysToExpiry,
+  ...extra,
+})
+
+test('an expiring certificate only downgrades a passed check', () => {
+  const expiring = applyCertificate(wss('success'), cert(7), 14)
+  assert.equal(expiring.status, 'warning')
+  assert.equal(expiring.record.reason, 'tls_expiry')
+  assert.equal(expiring.certDaysToExpiry, 7)
+  const lagging = applyCertificate(wss('warning', 'best_block_lag'), cert(7), 14)
+  assert.equal(lagging.record.reason, 'best_block_lag')
+  assert.equal(applyCertificate(wss('success'), cert(60), 14).status, 'success')
+})
+
+test('an invalid certificate fails the check, and explains a failed wss check', () => {
+  const untrusted = applyCertificate(
+    wss('warning', 'best_block_lag'),
+    cert(60, { authorized: false })
+  )
+  assert.equal(untrusted.status, 'error')
+  assert.equal(untrusted.record.reason, 'tls_untrusted')
+  const failed = applyCertificate(wss('error'), cert(-1))
+  assert.equal(failed.record.reason, 'tls_expired')
+  // the wss check knows better
+  const mismatch = applyCertificate(wss('error', 'genesis_mismatch'), cert(-1))
+  assert.equal(mismatch.record.reason, 'genesis_mismatch')
+})
@@ -6,7 +6,7 @@ import { config as configLocal } from './config/config.local.js'
 const cfg = Object.assign(config, configLocal)
 
 import express from 'express'
-import { Queue, Worker } from 'bullmq'
+import { Queue, Worker, MetricsTime } from 'bullmq'
 import * as pkg1 from '@bull-board/express'
 const { ExpressAdapter } = pkg1
 import * as pkg2 from '@bull-board/api'
@@ -15,7 +15,11 @@ import { BullMQAdapter } from '@bull-board/api/bullMQAdapter.js'
 // import axios from 'axios'
 
 import { asyncForeach } from './lib/utils.js'
+import { MemberLimiter } from './lib/member-limiter.js'
 import { checkService } from './workers/f-check-service.js'
+import { checkBootnode } from './workers/f-check-bootnode.js'
+import { syncMembers } from './workers/f-sync-members.js'
+import { pruneData } from './workers/f-prune-data.js'
 // import { f_1kv_nominations_update } from './workers/1kv-nominations-update.js'
 // import { f_1kv_nominators_update } from './workers/1kv-nominators-update.js'
 // import { f_w3f_exposures_update } from './workers/w3f-exposures-update.js'
@@ -37,9 +41,30 @@ const qOpts = {
   connection: cfg.redis,
 }
 
+// concurrency and rate limit per queue, see cfg.workers
+function workerOpts(job) {
+  const { concurrency = 1, limiter } = cfg.workers?.[job] || {}
+  return {
+    ...qOpts,
+    concurrency,
+    limiter,
+    // throughput for /api/metrics/queues, see lib/queue-metrics.js
+    metrics: { maxDataPoints: MetricsTime.ONE_WEEK },
+  }
+}
+
+// in-flight checks per member
+function memberLimited(job, processor) {
+  const { memberConcurrency = 0 } = cfg.workers?.[job] || {}
+  return new MemberLimiter({ max: memberConcurrency }).wrap(processor)
+}
+
 const jobs = [
   // 'health_check',
   'checkService',
+  'checkBootnode',
+  'syncMembers',
+  'pruneData',
   // '1kv_nominations_update',
   // '1kv_nominators_update',
   // 'w3f_exposures_update',
@@ -64,6 +89,9 @@ async function onFailed(job, event) {
 }
 
 const q_checkService = new Queue('checkService', qOpts)
+const q_checkBootnode = new Queue('checkBootnode', qOpts)
+const q_syncMembers = new Queue('syncMembers', qOpts)
+const q_pruneData = new Queue('pruneData', qOpts)
 // const q_health_check = new Queue('health_check', qOpts)
 // const q_1kv_nominators_update = new Queue('1kv_nominators_update', qOpts)
 // const q_w3f_exposures_update = new Queue('w3f_exposures_update', qOpts)
@@ -74,7 +102,18 @@ const q_checkService = new Queue('checkService', qOpts)
 // const q_w3f_nominations_update = new Queue('w3f_nominations_update', qOpts)
 // const q_dock_auto_payout = new Queue('dock_auto_payout', qOpts)
 
-const w_checkService = new Worker('checkService', checkService, qOpts)
+const w_checkService = new Worker(
+  'checkService',
+  memberLimited('checkService', checkService),
+  workerOpts('checkService')
+)
+const w_checkBootnode = new Worker(
+  'checkBootnode',
+  memberLimited('checkBootnode', checkBootnode),
+  workerOpts('checkBootnode')
+)
+const w_syncMembers = new Worker('syncMembers', syncMembers, workerOpts('syncMembers'))
+const w_pruneData = new Worker('pruneData', pruneData, workerOpts('pruneData'))
 // const w_health_check = new Worker('health_check', f_health_check, qOpts)
 // const w_1kv_nominators_update = new Worker('1kv_nominators_update', f_1kv_nominators_update, qOpts)
 // const w_w3f_exposures_update = new Worker('w3f_exposures_update', f_w3f_exposures_update, qOpts)
@@ -153,6 +192,9 @@ async function clearQueue(jobname) {
     queues: [
       // new BullMQAdapter(q_health_check, { readOnlyMode: false }),
       new BullMQAdapter(q_checkService, { readOnlyMode: false }),
+      new BullMQAdapter(q_checkBootnode, { readOnlyMode: false }),
+      new BullMQAdapter(q_syncMembers, { readOnlyMode: false }),
+      new BullMQAdapter(q_pruneData, { readOnlyMode: false }),
       // new BullMQAdapter(q_1kv_nominators_update, { readOnlyMode: false }),
       // new BullMQAdapter(q_w3f_exposures_update, { readOnlyMode: false }),
       // new BullMQAdapter(q_w3f_nominators_update, { readOnlyMode: false }),
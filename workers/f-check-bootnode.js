@@ -0,0 +1,80 @@
+'use strict'
+
+import { serializeError } from 'serialize-error'
+
+import { DataStore } from '../data/data-store.js'
+import { probeBootnode } from '../lib/bootnode-probe.js'
+import { classifyCheck } from '../lib/error-class.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+const ds = new DataStore({ pruning: cfg.pruning })
+
+/**
+ * Check the bootnode(s) of a member for a bootnode service
+ * @param {*} job - job.data: { memberId, serviceId, monitorId }, see lib/scheduler.js
+ * @returns a healthCheck result, nothing when the member, service or bootnodes are gone
+ */
+export async function checkBootnode(job) {
+  const { memberId, serviceId, monitorId } = job.data
+  const member = await ds.Member.findByPk(memberId)
+  const service = await ds.Service.findByPk(serviceId, { include: ['chain'] })
+  // the bootnode multiaddrs, imported from members.json
+  const bootnodes = await ds.MemberServiceBootnode.findAll({ where: { memberId, serviceId } })
+  if (!member || !service || bootnodes.length === 0) {
+    job.log(`member ${memberId}, service ${serviceId} or bootnodes not found`)
+    return
+  }
+  const addresses = bootnodes.map((b) => b.multiaddress)
+  console.debug('[worker] checkBootnode', member.id, service.id, addresses)
+
+  const probes = []
+  var status = 'success'
+  var peerId = null
+  for (let address of addresses) {
+    job.log(`checkBootnode: ${address}, ${member.id}, ${service.id}`)
+    try {
+      const probe = await probeBootnode(address, service.chain)
+      job.log(JSON.stringify(probe))
+      peerId = peerId || probe.remotePeer
+      if (!probe.peerIdMatch || probe.blockAnnounces?.genesisMatch === false) {
+        // someone else's node, or another chain
+        status = 'error'
+      } else if (!probe.blockAnnounces.negotiated && status === 'success') {
+        // reachable, but refused block announces for our chain
+        status = 'warning'
+      }
+      probes.push(probe)
+    } catch (err) {
+      console.warn('[worker] checkBootnode error', address, err.message)
+      job.log(err.toString())
+      status = 'error'
+      probes.push({ address, error: serializeError(err) })
+    }
+  }
+
+  const connectTimes = probes.filter((p) => p.connectTimeMs).map((p) => p.connectTimeMs)
+  const result = {
+    monitorId,
+    serviceId: service.id,
+    memberId: member.id,
+    peerId,
+    source: 'check',
+    type: 'bootnode_check',
+    status,
+    responseTimeMs: connectTimes.length ? Math.max(...connectTimes) : null,
+    record: {
+      monitorId,
+      memberId: member.id,
+      serviceId: service.id,
+      chainId: service.chainId,
+      probes,
+      performance: connectTimes.length ? Math.max(...connectTimes) : -1,
+    },
+  }
+  result.errorClass = classifyCheck(result)
+  console.log('[worker] checkBootnode done...', member.id, service.id, status)
+  return result
+}
@@ -1,191 +1,320 @@
 'use strict'
 
-import dns from 'node:dns'
-import edns from 'evil-dns'
 import { ApiPromise, WsProvider } from '@polkadot/api'
 import { serializeError } from 'serialize-error'
 
+import { DataStore } from '../data/data-store.js'
+import { cachedBlockReference, blockLag } from '../lib/block-reference.js'
+import { classifyCheck, classifyError } from '../lib/error-class.js'
+import { probeSuite, runProbes } from '../lib/rpc-probes.js'
+import { checkHttpRpc, applyHttpCheck } from '../lib/http-rpc-check.js'
+import { inspectCertificate, applyCertificate } from '../lib/tls-check.js'
+import { connectTiming } from '../lib/ws-timing.js'
+import { retry, retryPolicy, RetryError } from '../lib/retry.js'
+import { pinnedLookup, withPinnedLookup } from '../lib/pinned-lookup.js'
+
 import { config } from '../config/config.js'
 import { config as configLocal } from '../config/config.local.js'
 const cfg = Object.assign(config, configLocal)
 
-// eDns has patched node:dns and not node:dns/promises
-async function lookupAsync(domain) {
-  return new Promise((resolve, reject) => {
-    dns.lookup(domain, (err, address, family) => {
-      if (err) reject(err)
-      resolve({ address, family })
-    })
-  })
-}
+const ds = new DataStore({ pruning: cfg.pruning })
 
-const setDNS = async (domain, ip) => {
-  edns.add(domain, ip)
-  var { address } = await lookupAsync(domain)
-  console.debug(`${domain} now resolves to ${address}, and should be ${ip}`)
-}
-const clearDNS = async (domain, ip) => {
-  console.log(`removing eDns for ${domain}`)
-  edns.remove(domain, ip)
-  var { address } = await lookupAsync(domain)
-  console.log(`${domain} now resolves to ${address}\n`)
-}
+// phase columns of health_check
+const timingColumns = ({ dnsMs, tcpMs, tlsMs, wsUpgradeMs, metadataMs, rpcMs }) => ({
+  dnsMs,
+  tcpMs,
+  tlsMs,
+  wsUpgradeMs,
+  metadataMs,
+  rpcMs,
+})
 
 class TimeoutException extends Error {
-  constructor(message) {
-    super(message)
+  constructor(message, options) {
+    super(message, options)
     this.name = 'TimeoutException'
   }
 }
 
 /**
  * Similar to healthCheck-endpoint, but for IBP url at member.services_address
- * @param {} job
- * @returns
+ * @param {} job - job.data: { memberId, serviceId, monitorId }, see lib/scheduler.js
+ * @returns a healthCheck result, nothing when the member or service is gone
  */
 export async function checkService(job) {
-  // Will print { foo: 'bar'} for the first job
-  // and { qux: 'baz' } for the second.
-  // console.log('job.data', job.data);
-
-  const { subdomain, member, service, monitorId } = job.data
+  const { memberId, serviceId, monitorId } = job.data
+  // repeatable jobs carry ids, the member may have changed since the job was scheduled
+  const member = await ds.Member.findByPk(memberId)
+  const service = await ds.Service.findByPk(serviceId, { include: ['membershipLevel', 'chain'] })
+  if (!member || !service) {
+    job.log(`member ${memberId} or service ${serviceId} not found`)
+    return
+  }
+  const subdomain = service.membershipLevel.subdomain
+  // block height of the chain, to detect lagging members
+  const reference = await cachedBlockReference(ds, service.chainId)
   console.debug('[worker] checkService', subdomain, member.id, service.id)
 
   const domain = `${subdomain}.dotters.network`
   const endpoint = `wss://${domain}/${service.chainId}`
+  const httpEndpoint = `https://${domain}/${service.chainId}`
+  // dial the member ip for the shared domain, SNI and Host header stay the domain
+  const lookup = pinnedLookup(domain, member.serviceIpAddress)
 
-  var timeout = null
   var result
   var peerId = ''
+  // phase timing of the latest attempt, see lib/ws-timing.js
+  var timing = {}
+
+  // every attempt of performCheck, kept in record.attempts when one failed
+  var attempts = []
+  // the first connection phase without a time failed, see lib/ws-timing.js
+  const connectPhase = ({ dnsMs, tcpMs, tlsMs }) =>
+    dnsMs === null ? 'dns' : tcpMs === null ? 'tcp' : tlsMs === null ? 'tls' : 'ws_upgrade'
+  const attemptRecord = ({ error, ...attempt }) => ({
+    ...attempt,
+    error: error ? serializeError(error) : null,
+    errorClass: error ? classifyError(error) : null,
+  })
+
+  const performCheck = async (attempt) => {
+    job.log(`checkService: ${domain}, ${member.id}, ${service.id}, attempt ${attempt.attempt}`)
 
-  async function retry(fn, retriesLeft = 3, interval = 1000) {
+    attempt.phase = 'dns'
+    timing = await connectTiming(endpoint, { timeout: 10 * 1000, lookup })
+    job.log(`timing: ${JSON.stringify(timing)}`)
+    // WsProvider dials again, the phase stays if it fails as well
+    attempt.phase = timing.error ? connectPhase(timing) : 'connect'
+    // this attempt's connections and timer, closed before the next attempt
+    var provider, api, timeout
+    var timedOut = false
     try {
-      return await fn();
-    } catch (error) {
-      // typically a timeout error
-      job.log('attempt', retriesLeft)
-      job.log(error)
-      if (retriesLeft) {
-        // Wait interval milliseconds before next try
-        await new Promise(resolve => setTimeout(resolve, interval));
-        return retry(fn, retriesLeft - 1, interval);
-      } else {
-        throw new Error('Max retries exceeded');
+      const rpcTiming = {}
+      const timed = async (method, fn) => {
+        const start = performance.now()
+        try {
+          return await fn()
+        } finally {
+          rpcTiming[method] = performance.now() - start
+        }
       }
-    }
-  }
-
-  const performCheck = async () => {
-    job.log(`checkService: ${domain}, ${member.id}, ${service.id}`)
-
-    // amend DNS
-    await setDNS(domain, member.serviceIpAddress)
-    const provider = new WsProvider(endpoint, false, {}, 10 * 1000) // 10 seconds timeout
-    // any error is 'out of context' in the handler and does not stop the `await provider.isReady`
-    // provider.on('connected | disconnected | error')
-    job.log('connecting to provider...')
-    // https://github.com/polkadot-js/api/issues/5249#issue-1392411072
-    await new Promise((resolve, reject) => {
-      provider.on('error', async (err) => {
-        job.log('== got providerError for ', service.serviceUrl)
-        job.log(err.toString())
-        reject(err)
+      provider = new WsProvider(endpoint, false, {}, 10 * 1000) // 10 seconds timeout, no reconnect
+      // any error is 'out of context' in the handler and does not stop the `await provider.isReady`
+      // provider.on('connected | disconnected | error')
+      job.log('connecting to provider...')
+      // https://github.com/polkadot-js/api/issues/5249#issue-1392411072
+      await new Promise((resolve, reject) => {
+        provider.on('error', async (err) => {
+          job.log('== got providerError for ', service.serviceUrl)
+          job.log(err.toString())
+          reject(err)
+        })
+        provider.on('connected', () => {
+          resolve()
+        })
+        // WsProvider takes no lookup option, pin the connections it opens
+        withPinnedLookup(lookup, () => provider.connect())
       })
-      provider.on('connected', () => {
-        resolve()
+      job.log('waiting for ready...')
+      await provider.isReady
+      job.log('provider is ready...')
+
+      job.log('connecting to api...')
+      attempt.phase = 'metadata'
+      const metadataStart = performance.now()
+      // anything the api dials is pinned as well
+      api = await withPinnedLookup(lookup, () =>
+        ApiPromise.create({ provider, noInitWarn: true, throwOnConnect: true })
+      )
+      // api.on('error', function (err) { throw new ApiError(err.toString()) })
+      api.on('error', async (err) => {
+        job.log('== got apiError for ', service.serviceUrl)
+        job.log(err)
+        console.log('== got apiError for ', service.serviceUrl)
+        console.log(err)
+        // result = handleProviderError(err, service, peerId)
+        await provider.disconnect()
+        // throw new Error(err)
       })
-      provider.connect()
-    })
-    job.log('waiting for ready...')
-    await provider.isReady
-    job.log('provider is ready...')
-
-    job.log('connecting to api...')
-    const api = await ApiPromise.create({ provider, noInitWarn: true, throwOnConnect: true })
-    // api.on('error', function (err) { throw new ApiError(err.toString()) })
-    api.on('error', async (err) => {
-      job.log('== got apiError for ', service.serviceUrl)
-      job.log(err)
-      console.log('== got apiError for ', service.serviceUrl)
-      console.log(err)
-      // result = handleProviderError(err, service, peerId)
-      await provider.disconnect()
-      // throw new Error(err)
-    })
-    job.log('waiting for api...')
-    await api.isReady
-    job.log('api is ready...')
-
-    // handle Timeout n seconds
-    timeout = setTimeout(async () => {
-      console.debug('[worker] TimeoutException')
-      job.log('TimeoutException')
-      await api.disconnect()
-      await provider.disconnect()
-      await job.discard()
-      throw new Error('TimeoutException')
-    }, 70 * 1000)
-
-    job.log('getting stats from provider / api...')
-
-    peerId = await api.rpc.system.localPeerId()
-    const chain = await api.rpc.system.chain()
-    const chainType = await api.rpc.system.chainType()
-
-    // start
-    var start = performance.now()
-    const health = await api.rpc.system.health()
-    var end = performance.now()
-    // end timer
-
-    const networkState = api.rpc.system.networkState // () // not a function?
-    const syncState = await api.rpc.system.syncState()
-    const finalizedBlockHash = await api.rpc.chain.getFinalizedHead()
-    const { number: finalizedBlock } = await api.rpc.chain.getHeader(finalizedBlockHash)
-    // const blockDrift = syncState.currentBlock.toNumber() - finalizedBlock
-    const version = await api.rpc.system.version()
-    const timing = end - start
+      job.log('waiting for api...')
+      await api.isReady
+      timing.metadataMs = performance.now() - metadataStart
+      job.log('api is ready...')
 
-    result = {
-      // our peerId will be added by the receiver of the /ibp/healthCheck messate
-      monitorId,
-      serviceId: service.id,
-      memberId: member.id,
-      peerId: peerId.toString(),
-      source: 'check',
-      type: 'service_check',
-      status: timing > (cfg.performance?.sla || 500) ? 'warning' : 'success',
-      responseTimeMs: timing,
-      record: {
+      // a hung rpc call fails the attempt: the pending calls reject when the api disconnects
+      timeout = setTimeout(() => {
+        console.debug('[worker] TimeoutException')
+        job.log('TimeoutException')
+        timedOut = true
+        api.disconnect().catch(() => {})
+      }, 70 * 1000)
+
+      job.log('getting stats from provider / api...')
+      attempt.phase = 'rpc'
+
+      peerId = await timed('system_localPeerId', () => api.rpc.system.localPeerId())
+      const chain = await timed('system_chain', () => api.rpc.system.chain())
+      const chainType = await timed('system_chainType', () => api.rpc.system.chainType())
+
+      // make sure the endpoint serves the expected chain
+      const genesisHash = api.genesisHash.toHex()
+      const specName = api.runtimeVersion.specName.toString()
+      const specVersion = api.runtimeVersion.specVersion.toNumber()
+      var chainMismatch = null
+      if (genesisHash !== `0x${service.chain.genesisHash.replace(/^0x/, '')}`) {
+        chainMismatch = 'genesis_mismatch'
+      } else if (service.chain.specName && specName !== service.chain.specName) {
+        chainMismatch = 'spec_name_mismatch'
+      }
+
+      // responseTimeMs is the duration of system_health
+      const health = await timed('system_health', () => api.rpc.system.health())
+
+      const networkState = api.rpc.system.networkState // () // not a function?
+      const syncState = await timed('system_syncState', () => api.rpc.system.syncState())
+      const finalizedBlockHash = await timed('chain_getFinalizedHead', () =>
+        api.rpc.chain.getFinalizedHead()
+      )
+      const { number: finalizedBlock } = await timed('chain_getHeader', () =>
+        api.rpc.chain.getHeader(finalizedBlockHash)
+      )
+      const version = await timed('system_version', () => api.rpc.system.version())
+      const responseTime = rpcTiming.system_health
+      timing.rpcMs = Object.values(rpcTiming).reduce((sum, ms) => sum + ms, 0)
+      timing.rpc = rpcTiming
+
+      // compare with the median of all members, see lib/block-reference.js
+      const bestBlock = syncState.currentBlock.toNumber()
+      const lag = blockLag(reference, bestBlock, finalizedBlock.toNumber())
+      var status = 'success'
+      var reason = null
+      if (responseTime > (cfg.performance?.sla || 500)) {
+        status = 'warning'
+        reason = 'response_time'
+      }
+      if (lag.status === 'error' || (lag.status === 'warning' && status === 'success')) {
+        status = lag.status
+        reason = lag.reason
+      }
+      // configurable rpc probes, see lib/rpc-probes.js
+      attempt.phase = 'probes'
+      const rpcProbes = await runProbes(api, probeSuite(service))
+      const failedProbes = rpcProbes.filter((p) => !p.pass)
+      if (failedProbes.length) job.log(`failed probes: ${failedProbes.map((p) => p.probe)}`)
+      if (failedProbes.find((p) => p.severity === 'error') && status !== 'error') {
+        status = 'error'
+        reason = 'probe_failed'
+      } else if (failedProbes.length && status === 'success') {
+        status = 'warning'
+        reason = 'probe_failed'
+      }
+      if (chainMismatch) {
+        job.log(`${chainMismatch}: ${genesisHash} ${specName}, expected ${service.chainId}`)
+        status = 'error'
+        reason = chainMismatch
+      }
+
+      result = {
+        // our peerId will be added by the receiver of the /ibp/healthCheck messate
         monitorId,
-        memberId: member.id,
         serviceId: service.id,
-        endpoint,
-        ipAddress: member.serviceIpAddress,
-        chain,
-        chainType,
-        health,
-        networkState,
-        syncState,
-        finalizedBlock,
-        version,
-        // peerCount,
-        performance: timing,
-      },
+        memberId: member.id,
+        peerId: peerId.toString(),
+        source: 'check',
+        type: 'service_check',
+        status,
+        responseTimeMs: responseTime,
+        ...timingColumns(timing),
+        blockLag: lag.blockLag,
+        finalizedLag: lag.finalizedLag,
+        record: {
+          monitorId,
+          memberId: member.id,
+          serviceId: service.id,
+          endpoint,
+          ipAddress: member.serviceIpAddress,
+          chain,
+          chainType,
+          genesisHash,
+          specName,
+          specVersion,
+          health,
+          networkState,
+          syncState,
+          finalizedBlock,
+          bestBlock,
+          reference,
+          blockLag: lag.blockLag,
+          finalizedLag: lag.finalizedLag,
+          reason,
+          rpcProbes,
+          version,
+          timing,
+          // peerCount,
+          performance: responseTime,
+        },
+      }
+    } catch (err) {
+      throw timedOut ? new TimeoutException('No response in 70 seconds', { cause: err }) : err
+    } finally {
+      clearTimeout(timeout)
+      // api.disconnect() closes the provider too, there is no api when it failed to connect
+      await (api || provider)?.disconnect().catch((err) => job.log(`disconnect: ${err.message}`))
     }
-    await provider.disconnect()
   }
 
-  try {
-    // retry 3 times, wait 5 seconds between each try
-    await retry(performCheck, 3, 5 * 1000);
+  // the same endpoint over https, an http only outage is reported with reason `http_error`
+  const performHttpCheck = async () => {
+    if (!cfg.httpCheck?.enabled) return
+    job.log(`checkHttpRpc: ${httpEndpoint}`)
+    var http
+    try {
+      http = await checkHttpRpc(httpEndpoint, { timeout: cfg.httpCheck.timeout, lookup })
+    } catch (err) {
+      // a failure of the check itself, not of the endpoint: recorded, the status stays
+      job.log(`checkHttpRpc failed: ${err.message}`)
+      result.record.http = { ok: false, error: err.message }
+      return
+    }
+    job.log(JSON.stringify(http))
+    applyHttpCheck(result, http, cfg.httpCheck.severity)
+  }
 
+  // the certificate served at the member ip, an expiring certificate gives a warning
+  const performTlsCheck = async () => {
+    if (!cfg.tlsCheck?.enabled) return
+    var certificate
+    try {
+      certificate = await inspectCertificate(domain, member.serviceIpAddress, {
+        timeout: cfg.tlsCheck.timeout,
+      })
+    } catch (err) {
+      // e.g. no member ip: the certificate could not be inspected, the status stays
+      job.log(`inspectCertificate failed: ${err.message}`)
+      result.record.tls = { domain, ipAddress: member.serviceIpAddress, error: err.message }
+      return
+    }
+    job.log(JSON.stringify(certificate))
+    applyCertificate(result, certificate, cfg.tlsCheck.warningDays)
+  }
+
+  try {
+    // retries and back-off per service, see cfg.retry
+    const retried = await retry(performCheck, retryPolicy(service), {
+      onError: ({ attempt, phase, error }) => {
+        job.log(`attempt ${attempt} failed in ${phase}`)
+        job.log(error)
+      },
+    })
+    attempts = retried.attempts
+    if (attempts.length > 1) result.record.attempts = attempts.map(attemptRecord)
   } catch (err) {
     console.warn('[worker] WE GOT AN ERROR AFTER RETRIES --------------')
     console.error(err)
     job.log('WE GOT AN ERROR AFTER RETRIES --------------')
     job.log(err)
     job.log(err.toString())
+    if (err instanceof RetryError) attempts = err.attempts
 
     result = {
       // our peerId will be added by the receiver of the /ibp/healthCheck message
@@ -196,21 +325,26 @@ export async function checkService(job) {
       source: 'check',
       type: 'service_check',
       status: 'error',
+      ...timingColumns(timing),
       record: {
         monitorId,
         memberId: member.id,
         serviceId: service.id,
         endpoint,
         ip_address: member.serviceIpAddress,
-        error: serializeError(err),
+        timing,
+        // the error of the last attempt, not 'Max retries exceeded'
+        error: serializeError(err instanceof RetryError ? err.cause : err),
+        attempts: attempts.map(attemptRecord),
         performance: -1,
       },
     }
-  } finally {
-    if (timeout) clearTimeout(timeout)
-    await clearDNS(domain, member.serviceIpAddress)
-    console.log('[worker] checkService done...', member.id, service.id)
-    job.log('checkService done...', member.id, service.id)
-    return result
   }
+  // once, for a passed or failed wss check
+  await performHttpCheck()
+  await performTlsCheck()
+  result.errorClass = classifyCheck(result)
+  console.log('[worker] checkService done...', member.id, service.id)
+  job.log('checkService done...', member.id, service.id)
+  return result
 }
@@ -0,0 +1,25 @@
+'use strict'
+
+import { DataStore } from '../data/data-store.js'
+import { Rollup } from '../lib/rollup.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+const ds = new DataStore({ pruning: cfg.pruning })
+const rollup = new Rollup({ datastore: ds })
+
+/**
+ * Roll the raw health checks up into the hourly and daily tables, then prune the datastore
+ * @param {*} job - no job.data, see cfg.pruning
+ */
+export async function pruneData(job) {
+  console.debug('[worker] pruneData')
+  job.log('rollup')
+  await rollup.update()
+  job.log('prune')
+  await ds.prune()
+  console.log('[worker] pruneData done...')
+  return { pruning: ds.pruning }
+}
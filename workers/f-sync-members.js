@@ -0,0 +1,28 @@
+'use strict'
+
+import { DataStore } from '../data/data-store.js'
+
+import { config } from '../config/config.js'
+import { config as configLocal } from '../config/config.local.js'
+const cfg = Object.assign(config, configLocal)
+
+const ds = new DataStore({ pruning: cfg.pruning })
+
+/**
+ * Sync the member tables with members.json
+ * @param {*} job - job.data: { url }, file:// is supported
+ * @returns the number of changes per type
+ */
+export async function syncMembers(job) {
+  const url = job.data.url || cfg.members.url
+  console.debug('[worker] syncMembers', url)
+  job.log(`syncMembers: ${url}`)
+  const changes = await ds.readMemberJson(url)
+  const summary = {}
+  for (let change of changes) {
+    job.log(JSON.stringify(change))
+    summary[change.changeType] = (summary[change.changeType] || 0) + 1
+  }
+  console.log('[worker] syncMembers done...', changes.length)
+  return { url, changes: changes.length, summary }
+}